@@ -0,0 +1,119 @@
+// Achievements
+// Badges unlocked by rules checked against the activity log, stat streaks and
+// titles. Each rule is plain data ({ type, ...options }) so new badges only
+// need a new entry below. Rules naming a stat that doesn't exist (or has been
+// archived) can't unlock; badges already earned are kept for good.
+class AchievementSystem {
+    constructor() {
+        this.achievements = [
+            { id: 'first-step', name: 'First Step', icon: '👣', rule: { type: 'activityCount', count: 1 } },
+            { id: 'regular', name: 'Regular', icon: '📒', rule: { type: 'activityCount', count: 25 } },
+            { id: 'centurion', name: 'Centurion', icon: '💯', rule: { type: 'activityCount', count: 100 } },
+            { id: 'living-legend', name: 'Living Legend', icon: '📜', rule: { type: 'activityCount', count: 500 } },
+            { id: 'iron-week', name: 'Iron Week', icon: '🏋️', rule: { type: 'statStreak', stat: 'physical', days: 7 } },
+            { id: 'scholars-week', name: "Scholar's Week", icon: '📚', rule: { type: 'statStreak', stat: 'mental', days: 7 } },
+            { id: 'social-butterfly', name: 'Social Butterfly', icon: '🦋', rule: { type: 'statStreak', stat: 'social', days: 7 } },
+            { id: 'daily-muse', name: 'Daily Muse', icon: '🎨', rule: { type: 'statStreak', stat: 'creative', days: 7 } },
+            { id: 'clockwork', name: 'Clockwork', icon: '⚙️', rule: { type: 'statStreak', stat: 'productive', days: 7 } },
+            { id: 'iron-month', name: 'Iron Month', icon: '🔥', rule: { type: 'statStreak', stat: 'physical', days: 30 } },
+            { id: 'weekend-artist', name: 'Weekend Artist', icon: '🖌️', rule: { type: 'weekendActivity', stat: 'creative' } },
+            { id: 'weekend-warrior', name: 'Weekend Warrior', icon: '⚔️', rule: { type: 'weekendActivity', stat: 'physical' } },
+            { id: 'well-rounded', name: 'Well-Rounded', icon: '⭐', rule: { type: 'allStatsTier', tier: 1 } },
+            { id: 'renaissance-soul', name: 'Renaissance Soul', icon: '🌟', rule: { type: 'allStatsTier', tier: 2 } },
+            { id: 'phantom-thief', name: 'Phantom Thief', icon: '🎭', rule: { type: 'allStatsTier', tier: 4 } }
+        ];
+    }
+
+    // Definition for one achievement, or undefined for an unknown id
+    get(id) {
+        return this.achievements.find(achievement => achievement.id === id);
+    }
+
+    // Whether a stat named by a rule can still earn points
+    isStatTracked(stat) {
+        return window.statRegistry.has(stat) && !window.statRegistry.isArchived(stat);
+    }
+
+    // Everything the rules look at, gathered once per check
+    buildContext(now, activities, stats) {
+        return {
+            now: now,
+            activities: activities,
+            stats: stats,
+            statStreaks: window.streakTracker.getStatStreaks(now, activities)
+        };
+    }
+
+    // Whether a rule is met
+    checkRule(rule, context) {
+        switch (rule.type) {
+            case 'activityCount':
+                return context.activities.length >= rule.count;
+            case 'statStreak':
+                return this.isStatTracked(rule.stat) && context.statStreaks[rule.stat].longest >= rule.days;
+            case 'weekendActivity':
+                return this.isStatTracked(rule.stat) && context.activities.some(activity => {
+                    const day = new Date(activity.date).getDay();
+                    return activity.stats[rule.stat] > 0 && (day === 0 || day === 6);
+                });
+            case 'allStatsTier':
+                return window.statRegistry.getKeys().every(stat =>
+                    window.titleSystem.getTitleInfo(stat, context.stats[stat] || 0).tier >= rule.tier);
+            default:
+                return false;
+        }
+    }
+
+    // What a rule asks for, in words
+    describeRule(rule) {
+        const statName = rule.stat ? window.statRegistry.getName(rule.stat) : '';
+
+        switch (rule.type) {
+            case 'activityCount':
+                return rule.count === 1 ? 'Log your first activity' : `Log ${rule.count} activities`;
+            case 'statStreak':
+                return `Earn ${statName} points ${rule.days} days in a row`;
+            case 'weekendActivity':
+                return `Log a ${statName} activity on a weekend`;
+            case 'allStatsTier':
+                return `Reach tier ${rule.tier} in every stat`;
+            default:
+                return '';
+        }
+    }
+
+    // Achievements whose rules are met but which haven't been unlocked yet
+    findNewUnlocks(now = new Date(),
+        activities = window.dataStorage.getAllActivities(),
+        stats = window.dataStorage.getStats(),
+        unlocked = window.dataStorage.getAchievements()) {
+        const unlockedIds = new Set(unlocked.map(record => record.id));
+        const context = this.buildContext(now, activities, stats);
+
+        return this.achievements.filter(achievement =>
+            !unlockedIds.has(achievement.id) && this.checkRule(achievement.rule, context));
+    }
+
+    // Every achievement with its unlock date (null while locked), unlocked first
+    // (most recent first), then locked ones in list order
+    getTrophyCase(unlocked = window.dataStorage.getAchievements()) {
+        const unlockedDates = new Map(unlocked.map(record => [record.id, record.unlockedDate]));
+
+        return this.achievements
+            .map((achievement, index) => ({
+                ...achievement,
+                description: this.describeRule(achievement.rule),
+                unlockedDate: unlockedDates.get(achievement.id) || null,
+                index: index
+            }))
+            .sort((a, b) => {
+                if (a.unlockedDate && b.unlockedDate) {
+                    return new Date(b.unlockedDate) - new Date(a.unlockedDate) || a.index - b.index;
+                }
+                return (a.unlockedDate ? 0 : 1) - (b.unlockedDate ? 0 : 1) || a.index - b.index;
+            });
+    }
+}
+
+// Create global instance
+window.achievementSystem = new AchievementSystem();
@@ -3,21 +3,162 @@ class LifeGamifyApp {
     constructor() {
         this.currentStats = {};
         this.currentActivities = [];
+        this.currentDeclines = [];
+        this.pendingImport = null;
+        this.historyPage = 1;
+        this.historyRequest = 0; // Latest history search, so slower earlier ones are dropped
+        this.nameSuggestions = [];
+        this.activeSuggestion = -1;
+        this.heatmapEndDate = new Date();
+        this.heatmapSelectedDay = null;
+        this.timelineOpen = false;
+        this.dayRolloverTimer = null;
+        this.activityDateEdited = false; // Whether the add form's date was changed by hand
+        this.calendarMonth = new Date();
+        this.calendarSelectedDay = null;
+        this.calendarRequest = 0;
         
         this.initializeApp();
         this.bindEvents();
         this.loadInitialData();
+        this.scheduleDayRollover();
     }
 
     // Initialize the application
     initializeApp() {
         console.log('Life Gamify App initialized');
         
+        // Build the per-stat inputs and displays from the stat definitions
+        this.renderStatControls();
+        this.renderConfidantRelationships();
+        this.renderTimeSlotOptions(document.getElementById('activityTimeSlot'));
+
         // Initialize slider value displays
         this.updateSliderValues();
+
+        // Default the activity date to now
+        this.resetActivityDate();
         
         // Set up form validation
         this.setupFormValidation();
+
+        // Saved data from a newer app version is left untouched and not shown
+        if (window.dataStorage.loadError) {
+            this.showErrorMessage(window.dataStorage.loadError.message);
+        }
+    }
+
+    // Render the sliders, summary cards, star labels, stat filters and habit
+    // inputs, one per stat in star order
+    renderStatControls() {
+        const registry = window.statRegistry;
+        const sliders = document.getElementById('statSliders');
+        const statsGrid = document.getElementById('statsGrid');
+        const labels = document.getElementById('statLabels');
+        const habitPoints = document.getElementById('habitPoints');
+        const statFilters = [document.getElementById('historyStat'), document.getElementById('heatmapStat')];
+
+        // Keep what was already entered when the stat list changes
+        const sliderValues = new Map([...sliders.querySelectorAll('input[type="range"]')].map(slider => [slider.id, slider.value]));
+        const habitValues = new Map([...habitPoints.querySelectorAll('input')].map(input => [input.dataset.stat, input.value]));
+        const filterValues = statFilters.map(select => select.value);
+
+        sliders.innerHTML = '';
+        statsGrid.innerHTML = '';
+        labels.innerHTML = '';
+        habitPoints.innerHTML = '';
+        statFilters.forEach(select => {
+            // Keep the leading "All stats" option
+            while (select.options.length > 1) {
+                select.remove(1);
+            }
+        });
+
+        registry.getStats().forEach((stat, index) => {
+            // Activity form slider
+            const sliderGroup = document.createElement('div');
+            sliderGroup.className = 'slider-group';
+            const sliderLabel = document.createElement('label');
+            sliderLabel.htmlFor = `${stat.key}Points`;
+            sliderLabel.textContent = `${stat.name}:`;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `${stat.key}Points`;
+            slider.name = `${stat.key}Points`;
+            slider.min = 0;
+            slider.max = 5;
+            slider.defaultValue = 0; // What the form resets to
+            slider.value = sliderValues.get(slider.id) || 0;
+            const sliderValue = document.createElement('span');
+            sliderValue.className = 'slider-value';
+            sliderValue.textContent = '0';
+            sliderGroup.append(sliderLabel, slider, sliderValue);
+            sliders.appendChild(sliderGroup);
+
+            // Current stats card
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            item.dataset.stat = stat.key;
+            item.style.setProperty('--stat-color', stat.color);
+            const name = document.createElement('span');
+            name.className = 'stat-name';
+            name.textContent = stat.name;
+            const streak = document.createElement('span');
+            streak.className = 'stat-streak';
+            streak.id = `${stat.key}Streak`;
+            streak.title = 'Current / longest streak of days';
+            const total = document.createElement('span');
+            total.className = 'stat-value';
+            total.id = `${stat.key}Total`;
+            total.textContent = '0';
+            const progress = document.createElement('div');
+            progress.className = 'stat-progress';
+            progress.setAttribute('role', 'progressbar');
+            progress.setAttribute('aria-valuemin', '0');
+            progress.setAttribute('aria-valuemax', '100');
+            const progressFill = document.createElement('div');
+            progressFill.className = 'stat-progress-fill';
+            progress.appendChild(progressFill);
+            const progressDetail = document.createElement('span');
+            progressDetail.className = 'stat-progress-detail';
+            item.append(name, streak, total, progress, progressDetail);
+            // Hovering shows the points to the next rank; tapping keeps it open
+            item.addEventListener('click', () => item.classList.toggle('show-progress'));
+            statsGrid.appendChild(item);
+
+            // Star label at the end of the stat's axis
+            const position = window.starVisualization.getLabelPosition(index);
+            const label = document.createElement('div');
+            label.className = 'stat-label';
+            label.dataset.stat = stat.key;
+            label.style.left = `${position.left}%`;
+            label.style.top = `${position.top}%`;
+            label.textContent = stat.name;
+            labels.appendChild(label);
+
+            // Habit form points
+            const habitLabel = document.createElement('label');
+            const habitInput = document.createElement('input');
+            habitInput.type = 'number';
+            habitInput.dataset.stat = stat.key;
+            habitInput.min = 0;
+            habitInput.max = 5;
+            habitInput.defaultValue = 0;
+            habitInput.value = habitValues.get(stat.key) || 0;
+            habitLabel.append(`${stat.name} `, habitInput);
+            habitPoints.appendChild(habitLabel);
+
+            // History and heatmap filters
+            statFilters.forEach(select => select.add(new Option(stat.name, stat.key)));
+        });
+
+        // A filter on a stat that was archived falls back to all stats
+        statFilters.forEach((select, i) => {
+            select.value = filterValues[i];
+            if (select.selectedIndex === -1) {
+                select.value = '';
+            }
+        });
     }
 
     // Bind event listeners
@@ -27,16 +168,37 @@ class LifeGamifyApp {
         activityForm.addEventListener('submit', (e) => this.handleActivitySubmit(e));
 
         // Slider value updates
-        const sliders = document.querySelectorAll('input[type="range"]');
-        sliders.forEach(slider => {
-            slider.addEventListener('input', (e) => this.updateSliderValue(e.target));
+        document.getElementById('statSliders').addEventListener('input', (e) => {
+            if (e.target.type === 'range') {
+                this.updateSliderValue(e.target);
+                this.updateConfidantPickerVisibility();
+            }
         });
 
         // Form reset on successful submission
         activityForm.addEventListener('reset', () => {
-            setTimeout(() => this.updateSliderValues(), 10);
+            setTimeout(() => {
+                this.updateSliderValues();
+                this.resetActivityDate();
+                this.hideNameSuggestions();
+            }, 10);
         });
 
+        // Time of day is set from the activity time and can then be picked by hand
+        document.getElementById('activityDate').addEventListener('input', (e) => {
+            this.activityDateEdited = true;
+            this.syncTimeSlot(e.target, document.getElementById('activityTimeSlot'));
+        });
+
+        // The date picker goes stale while the page stays open
+        activityForm.addEventListener('focusin', () => this.refreshActivityDate());
+
+        // Confidants
+        document.getElementById('confidantForm').addEventListener('submit', (e) => this.handleAddConfidant(e));
+
+        // Activity name suggestions from history
+        this.setupNameAutocomplete();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
 
@@ -46,17 +208,116 @@ class LifeGamifyApp {
         const closeIntensityGuide = document.getElementById('closeIntensityGuide');
 
         intensityGuideBtn.addEventListener('click', () => {
+            this.renderIntensityGuide();
             intensityGuideModal.style.display = 'block';
         });
 
-        closeIntensityGuide.addEventListener('click', () => {
-            intensityGuideModal.style.display = 'none';
+        this.bindModalClose(intensityGuideModal, closeIntensityGuide);
+
+        // Full activity history
+        const historyModal = document.getElementById('historyModal');
+        const historyFilters = document.getElementById('historyFilters');
+        document.getElementById('viewHistoryBtn').addEventListener('click', () => this.openHistory());
+        this.bindModalClose(historyModal, document.getElementById('closeHistoryModal'));
+        historyFilters.addEventListener('input', () => this.renderHistory(1));
+        historyFilters.addEventListener('submit', (e) => e.preventDefault());
+        historyFilters.addEventListener('reset', () => {
+            setTimeout(() => this.renderHistory(1), 10);
+        });
+        document.getElementById('historyPrevBtn').addEventListener('click', () => this.renderHistory(this.historyPage - 1));
+        document.getElementById('historyNextBtn').addEventListener('click', () => this.renderHistory(this.historyPage + 1));
+
+        // Time of day calendar
+        const calendarModal = document.getElementById('calendarModal');
+        document.getElementById('timeOfDayBtn').addEventListener('click', () => this.openCalendar());
+        this.bindModalClose(calendarModal, document.getElementById('closeCalendarModal'));
+        document.getElementById('calendarPrevBtn').addEventListener('click', () => this.shiftCalendarMonth(-1));
+        document.getElementById('calendarNextBtn').addEventListener('click', () => this.shiftCalendarMonth(1));
+
+        // Recurring habits
+        const habitsModal = document.getElementById('habitsModal');
+        document.getElementById('manageHabitsBtn').addEventListener('click', () => this.openHabits());
+        this.bindModalClose(habitsModal, document.getElementById('closeHabitsModal'));
+        document.getElementById('habitScheduleType').addEventListener('change', () => this.updateHabitScheduleFields());
+        document.getElementById('habitForm').addEventListener('submit', (e) => this.handleHabitSubmit(e));
+
+        // Stat settings
+        const settingsModal = document.getElementById('settingsModal');
+        document.getElementById('settingsBtn').addEventListener('click', () => this.openSettings());
+        this.bindModalClose(settingsModal, document.getElementById('closeSettingsModal'));
+        document.getElementById('addStatForm').addEventListener('submit', (e) => this.handleAddStat(e));
+        document.getElementById('levelCurveForm').addEventListener('input', () => this.updateLevelCurveFields());
+        document.getElementById('levelCurveForm').addEventListener('submit', (e) => this.handleLevelCurveSubmit(e));
+        document.getElementById('titleStat').addEventListener('change', () => this.renderTitleEditor());
+        document.getElementById('titleLadderForm').addEventListener('submit', (e) => this.handleTitleLadderSubmit(e));
+        document.getElementById('resetTitlesBtn').addEventListener('click', () => this.resetTitleLadder());
+
+        // Compare the star with a past date
+        const ghostRange = document.getElementById('ghostRange');
+        const ghostDate = document.getElementById('ghostDate');
+        ghostRange.addEventListener('change', () => {
+            ghostDate.hidden = ghostRange.value !== 'custom';
+            if (ghostRange.value === 'custom' && !ghostDate.value) {
+                ghostDate.max = window.habitTracker.dayKey(new Date());
+                ghostDate.focus();
+            }
+            this.updateStarVisualization();
+        });
+        ghostDate.addEventListener('change', () => this.updateStarVisualization());
+
+        // Timeline playback of the star
+        const timeline = window.timelinePlayback;
+        const scrubber = document.getElementById('timelineScrubber');
+        timeline.onFrame = (index, date, stats) => this.updateTimelinePosition(index, date, stats);
+        timeline.onFinish = () => this.updateTimelinePlayButton();
+        document.getElementById('timelineBtn').addEventListener('click', () => this.openTimeline());
+        document.getElementById('timelineCloseBtn').addEventListener('click', () => this.closeTimeline());
+        document.getElementById('timelinePlayBtn').addEventListener('click', () => {
+            if (timeline.playing) {
+                timeline.pause();
+            } else {
+                timeline.play();
+            }
+            this.updateTimelinePlayButton();
+        });
+        scrubber.addEventListener('input', () => {
+            timeline.pause();
+            timeline.seek(parseInt(scrubber.value));
+            this.updateTimelinePlayButton();
+        });
+        document.getElementById('timelineSpeed').addEventListener('change', (e) => {
+            timeline.setSpeed(parseInt(e.target.value));
+        });
+
+        // Calendar heatmap
+        window.calendarHeatmap.onDayClick = (day) => this.showHeatmapDay(day);
+        document.getElementById('heatmapStat').addEventListener('change', () => this.updateHeatmap());
+        document.getElementById('heatmapPrevBtn').addEventListener('click', () => this.shiftHeatmapYear(-1));
+        document.getElementById('heatmapNextBtn').addEventListener('click', () => this.shiftHeatmapYear(1));
+
+        // Data export and import
+        document.getElementById('exportDataBtn').addEventListener('click', () => this.handleExport());
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.handleCsvExport());
+        document.getElementById('importDataBtn').addEventListener('click', () => this.openImportDialog());
+
+        const importModal = document.getElementById('importModal');
+        this.bindModalClose(importModal, document.getElementById('closeImportModal'));
+        document.getElementById('cancelImportBtn').addEventListener('click', () => {
+            importModal.style.display = 'none';
+        });
+        document.getElementById('importFile').addEventListener('change', (e) => this.handleImportFileSelected(e.target.files[0]));
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.confirmImport());
+    }
+
+    // Close a modal from its close button or by clicking outside it
+    bindModalClose(modal, closeButton) {
+        closeButton.addEventListener('click', () => {
+            modal.style.display = 'none';
         });
 
-        // Close modal when clicking outside
-        intensityGuideModal.addEventListener('click', (e) => {
-            if (e.target === intensityGuideModal) {
-                intensityGuideModal.style.display = 'none';
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.style.display = 'none';
             }
         });
     }
@@ -64,18 +325,26 @@ class LifeGamifyApp {
     // Load initial data and update UI
     loadInitialData() {
         // Check for decline first
+        const statsBeforeDecline = window.dataStorage.getStats();
         const declineResult = window.dataStorage.checkAndApplyDecline();
         
         this.currentStats = window.dataStorage.getStats();
         this.currentActivities = window.dataStorage.getActivities(10);
+        this.currentDeclines = window.dataStorage.getDeclineHistory(10);
         
         this.updateStatsDisplay();
         this.updateStarVisualization();
         this.updateActivitiesList();
+        this.updateTemplateChips();
+        this.updateHabitChecklist();
+        this.updateConfidants();
+        this.updateHeatmap();
+        this.checkAchievements();
         
         // Show decline notification if points were lost
         if (declineResult.declined) {
             this.showDeclineNotification(declineResult);
+            this.announceRankChanges(statsBeforeDecline);
         }
         
         console.log('Initial data loaded:', {
@@ -88,6 +357,7 @@ class LifeGamifyApp {
     // Handle activity form submission
     handleActivitySubmit(e) {
         e.preventDefault();
+        this.refreshActivityDate();
         
         const formData = new FormData(e.target);
         const activityData = this.extractActivityData(formData);
@@ -98,17 +368,12 @@ class LifeGamifyApp {
         }
 
         // Add activity to storage
+        const previousStats = { ...this.currentStats };
         const newActivity = window.dataStorage.addActivity(activityData);
         
         if (newActivity) {
-            // Update current data
-            this.currentStats = window.dataStorage.getStats();
-            this.currentActivities = window.dataStorage.getActivities(10);
-            
-            // Update UI
-            this.updateStatsDisplay();
-            this.updateStarVisualization();
-            this.updateActivitiesList();
+            this.refreshActivityData();
+            this.announceRankChanges(previousStats);
             
             // Reset form
             e.target.reset();
@@ -117,6 +382,8 @@ class LifeGamifyApp {
             // Show success feedback
             this.showSuccessMessage(`Added "${activityData.name}" successfully!`);
             
+            this.checkAchievements();
+
             // Focus back to activity name input
             document.getElementById('activityName').focus();
             
@@ -126,22 +393,788 @@ class LifeGamifyApp {
         }
     }
 
+    // Reload stats and activities after a change and update the UI
+    refreshActivityData() {
+        this.currentStats = window.dataStorage.getStats();
+        this.currentActivities = window.dataStorage.getActivities(10);
+        this.currentDeclines = window.dataStorage.getDeclineHistory(10);
+
+        this.updateStatsDisplay();
+        this.updateStarVisualization();
+        this.updateActivitiesList();
+        this.updateHabitChecklist();
+        this.updateConfidants();
+        this.updateHeatmap();
+    }
+
+    // Render saved templates as quick-add chips above the form
+    updateTemplateChips() {
+        const chipsContainer = document.getElementById('templateChips');
+        const templates = window.dataStorage.getTemplates();
+        chipsContainer.innerHTML = '';
+
+        templates.forEach(template => {
+            const chip = document.createElement('div');
+            chip.className = 'template-chip';
+
+            const logButton = document.createElement('button');
+            logButton.type = 'button';
+            logButton.className = 'template-log-btn';
+            logButton.textContent = template.name;
+            logButton.title = Object.entries(template.stats)
+                .filter(([, value]) => value > 0)
+                .map(([stat, value]) => `${window.statRegistry.getName(stat)} +${value}`)
+                .join(', ');
+            logButton.addEventListener('click', () => this.logFromTemplate(template));
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'template-remove-btn';
+            removeButton.textContent = '×';
+            removeButton.title = `Remove "${template.name}" template`;
+            removeButton.addEventListener('click', () => this.removeTemplate(template));
+
+            chip.appendChild(logButton);
+            chip.appendChild(removeButton);
+            chipsContainer.appendChild(chip);
+        });
+    }
+
+    // Log a template as a new activity in one tap
+    logFromTemplate(template) {
+        const previousStats = { ...this.currentStats };
+        const newActivity = window.dataStorage.logTemplate(template.id);
+
+        if (newActivity) {
+            this.refreshActivityData();
+            this.announceRankChanges(previousStats);
+            this.showSuccessMessage(`Logged "${template.name}"!`);
+            this.checkAchievements();
+        } else {
+            this.showErrorMessage('Failed to log template. Please try again.');
+        }
+    }
+
+    // Save an activity from the list as a template
+    saveActivityAsTemplate(activity) {
+        const template = window.dataStorage.createTemplateFromActivity(activity.id);
+
+        if (template) {
+            this.updateTemplateChips();
+            this.showSuccessMessage(`Saved "${activity.name}" as a template.`);
+        } else {
+            this.showErrorMessage(`A template named "${activity.name}" already exists.`);
+        }
+    }
+
+    // Remove a template chip
+    removeTemplate(template) {
+        if (window.dataStorage.deleteTemplate(template.id)) {
+            this.updateTemplateChips();
+            this.showSuccessMessage(`Removed "${template.name}" template.`);
+        }
+    }
+
+    // Render today's habit checklist
+    updateHabitChecklist() {
+        const checklist = document.getElementById('habitChecklist');
+        const items = window.habitTracker.getTodayChecklist();
+        checklist.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-activities';
+            empty.textContent = window.dataStorage.getHabits().length === 0
+                ? 'No habits yet. Use Manage to set up a recurring habit.'
+                : 'Nothing scheduled for today.';
+            checklist.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('li');
+            row.className = `habit-item${item.completed ? ' completed' : ''}`;
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.completed;
+            checkbox.addEventListener('change', () => this.toggleHabit(item.habit, checkbox.checked));
+
+            const name = document.createElement('span');
+            name.className = 'habit-name';
+            name.textContent = item.habit.name;
+
+            label.appendChild(checkbox);
+            label.appendChild(name);
+
+            const details = document.createElement('span');
+            details.className = 'habit-details';
+            const schedule = window.habitTracker.describeSchedule(item.habit.schedule);
+            const streak = window.streakTracker.getHabitStreak(item.habit);
+            const streakText = streak.current > 0 ? ` · 🔥 ${streak.current} ${streak.unit}${streak.current === 1 ? '' : 's'}` : '';
+            details.textContent = (item.weekProgress
+                ? `${schedule} · ${item.weekProgress.done}/${item.weekProgress.target} this week`
+                : schedule) + streakText;
+
+            row.appendChild(label);
+            row.appendChild(details);
+            checklist.appendChild(row);
+        });
+    }
+
+    // Tick or untick a habit for today
+    toggleHabit(habit, completed) {
+        const previousStats = { ...this.currentStats };
+
+        if (completed) {
+            if (window.habitTracker.completeHabit(habit.id)) {
+                this.showSuccessMessage(`"${habit.name}" done for today!`);
+            } else {
+                this.showErrorMessage('Failed to log habit. Please try again.');
+            }
+        } else {
+            window.habitTracker.uncompleteHabit(habit.id);
+        }
+
+        this.refreshActivityData();
+        // Unticking removes points on purpose, which isn't a lost rank
+        if (completed) {
+            this.announceRankChanges(previousStats);
+            this.checkAchievements();
+        }
+    }
+
+    // Fill the relationship choices for new confidants
+    renderConfidantRelationships() {
+        const select = document.getElementById('confidantRelationship');
+        Object.entries(window.confidantTracker.relationships).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    // Checkboxes for tagging confidants on the activity form, keeping any
+    // already ticked
+    renderConfidantPicker() {
+        const picker = document.getElementById('confidantPicker');
+        const checked = new Set([...picker.querySelectorAll('input:checked')].map(input => input.value));
+        picker.innerHTML = '';
+
+        window.dataStorage.getConfidants().forEach(confidant => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'confidantIds';
+            checkbox.value = confidant.id;
+            checkbox.checked = checked.has(confidant.id);
+            label.append(checkbox, ` ${confidant.name}`);
+            picker.appendChild(label);
+        });
+
+        this.updateConfidantPickerVisibility();
+    }
+
+    // Offer confidants only while the activity has Social points
+    updateConfidantPickerVisibility() {
+        const tracker = window.confidantTracker;
+        const socialSlider = document.getElementById(`${tracker.socialStat}Points`);
+        const hasConfidants = document.getElementById('confidantPicker').children.length > 0;
+
+        document.getElementById('confidantGroup').hidden = !tracker.isAvailable() ||
+            !hasConfidants || !socialSlider || parseInt(socialSlider.value) === 0;
+    }
+
+    // Add a confidant from the form
+    handleAddConfidant(e) {
+        e.preventDefault();
+
+        const nameInput = document.getElementById('confidantName');
+        const confidant = window.dataStorage.addConfidant({
+            name: nameInput.value,
+            relationship: document.getElementById('confidantRelationship').value
+        });
+
+        if (!confidant) {
+            this.showErrorMessage(`You already have a confidant named "${nameInput.value.trim()}".`);
+            return;
+        }
+
+        e.target.reset();
+        this.updateConfidants();
+        this.showSuccessMessage(`${confidant.name} is now a confidant!`);
+    }
+
+    // Profile cards for each confidant: rank, progress to the next rank,
+    // when they were last seen and the activities spent together
+    updateConfidants() {
+        const container = document.getElementById('confidantCards');
+        const tracker = window.confidantTracker;
+        const profiles = tracker.getProfiles();
+
+        this.renderConfidantPicker();
+        container.innerHTML = '';
+
+        if (profiles.length === 0) {
+            container.innerHTML = '<p class="no-activities">No confidants yet. Add the people you spend time with, then tag them on Social activities.</p>';
+            return;
+        }
+
+        profiles.forEach(profile => {
+            const { rankInfo } = profile;
+
+            const card = document.createElement('div');
+            card.className = `confidant-card${rankInfo.isMaxRank ? ' max-rank' : ''}`;
+            card.dataset.confidant = profile.id;
+            card.style.setProperty('--tier-color', rankInfo.color);
+
+            const rank = document.createElement('div');
+            rank.className = 'confidant-rank';
+            rank.title = `Rank ${rankInfo.rank} of ${tracker.maxRank}`;
+            const rankLabel = document.createElement('span');
+            rankLabel.className = 'confidant-rank-label';
+            rankLabel.textContent = 'RANK';
+            const rankNumber = document.createElement('span');
+            rankNumber.className = 'confidant-rank-number';
+            rankNumber.textContent = rankInfo.rank;
+            rank.append(rankLabel, rankNumber);
+
+            const details = document.createElement('div');
+            details.className = 'confidant-details';
+
+            const header = document.createElement('div');
+            header.className = 'activity-header';
+            const name = document.createElement('span');
+            name.className = 'activity-name';
+            name.textContent = profile.name;
+            const relationship = document.createElement('span');
+            relationship.className = 'confidant-relationship';
+            relationship.textContent = tracker.getRelationshipName(profile.relationship);
+            header.append(name, relationship);
+
+            const progress = document.createElement('div');
+            progress.className = 'confidant-progress';
+            progress.setAttribute('role', 'progressbar');
+            progress.setAttribute('aria-valuemin', '0');
+            progress.setAttribute('aria-valuemax', '100');
+            progress.setAttribute('aria-valuenow', Math.round(rankInfo.progress));
+            progress.setAttribute('aria-label', `Progress to rank ${Math.min(rankInfo.rank + 1, tracker.maxRank)} with ${profile.name}`);
+            const progressFill = document.createElement('div');
+            progressFill.className = 'confidant-progress-fill';
+            progressFill.style.width = `${rankInfo.progress}%`;
+            progress.appendChild(progressFill);
+
+            const summary = document.createElement('div');
+            summary.className = 'confidant-summary';
+            const toNext = rankInfo.isMaxRank
+                ? 'Max rank'
+                : `${rankInfo.pointsToNext} Social point${rankInfo.pointsToNext === 1 ? '' : 's'} to rank ${rankInfo.rank + 1}`;
+            summary.textContent = `${toNext} · ${profile.lastSeenText}`;
+
+            details.append(header, progress, summary);
+
+            if (profile.interactions.length > 0) {
+                const history = document.createElement('details');
+                history.className = 'confidant-history';
+                const historySummary = document.createElement('summary');
+                historySummary.textContent = `Time together (${profile.interactions.length})`;
+                const list = document.createElement('ul');
+                profile.interactions.slice(0, 10).forEach(activity => {
+                    const item = document.createElement('li');
+                    const points = activity.stats[tracker.socialStat] || 0;
+                    item.textContent = `${new Date(activity.date).toLocaleDateString()} · ${activity.name}` +
+                        (points > 0 ? ` · +${points} ${window.statRegistry.getName(tracker.socialStat)}` : '');
+                    list.appendChild(item);
+                });
+                history.append(historySummary, list);
+                details.appendChild(history);
+            }
+
+            const archiveButton = document.createElement('button');
+            archiveButton.type = 'button';
+            archiveButton.className = 'section-btn confidant-archive';
+            archiveButton.textContent = 'Archive';
+            archiveButton.addEventListener('click', () => {
+                if (confirm(`Stop tracking ${profile.name}? Activities tagged with them are kept.`)) {
+                    window.dataStorage.archiveConfidant(profile.id);
+                    this.updateConfidants();
+                }
+            });
+            details.appendChild(archiveButton);
+
+            card.append(rank, details);
+            container.appendChild(card);
+        });
+    }
+
+    // Open the habit manager
+    openHabits() {
+        document.getElementById('habitForm').reset();
+        this.updateHabitScheduleFields();
+        this.renderHabitsList();
+        document.getElementById('habitsModal').style.display = 'block';
+        document.getElementById('habitName').focus();
+    }
+
+    // Show the weekday or times-per-week inputs for the chosen schedule
+    updateHabitScheduleFields() {
+        const type = document.getElementById('habitScheduleType').value;
+        document.getElementById('habitWeekdays').hidden = type !== 'weekdays';
+        document.getElementById('habitTimesPerWeekGroup').hidden = type !== 'weekly';
+    }
+
+    // Create a habit from the habit form
+    handleHabitSubmit(e) {
+        e.preventDefault();
+
+        const stats = {};
+        document.querySelectorAll('#habitPoints input[data-stat]').forEach(input => {
+            const stat = input.dataset.stat;
+            const value = parseInt(input.value) || 0;
+            if (value > 0) {
+                stats[stat] = Math.min(value, 5);
+            }
+        });
+
+        const type = document.getElementById('habitScheduleType').value;
+        const schedule = { type: type };
+        if (type === 'weekdays') {
+            schedule.days = Array.from(document.querySelectorAll('input[name="habitDays"]:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+        } else if (type === 'weekly') {
+            schedule.timesPerWeek = parseInt(document.getElementById('habitTimesPerWeek').value);
+        }
+
+        const habitData = {
+            name: document.getElementById('habitName').value.trim(),
+            stats: stats,
+            schedule: schedule
+        };
+
+        if (!this.validateHabitData(habitData)) {
+            return;
+        }
+
+        window.dataStorage.addHabit(habitData);
+        this.showSuccessMessage(`Habit "${habitData.name}" added!`);
+
+        e.target.reset();
+        this.updateHabitScheduleFields();
+        this.renderHabitsList();
+        this.updateHabitChecklist();
+    }
+
+    // Validate a new habit
+    validateHabitData(habitData) {
+        if (!habitData.name) {
+            this.showErrorMessage('Please enter a habit name.');
+            return false;
+        }
+
+        const totalPoints = Object.values(habitData.stats).reduce((sum, val) => sum + val, 0);
+        if (totalPoints === 0) {
+            this.showErrorMessage('Please allocate at least one point to a stat.');
+            return false;
+        }
+
+        if (habitData.schedule.type === 'weekdays' && habitData.schedule.days.length === 0) {
+            this.showErrorMessage('Please pick at least one weekday.');
+            return false;
+        }
+
+        const timesPerWeek = habitData.schedule.timesPerWeek;
+        if (habitData.schedule.type === 'weekly' && !(timesPerWeek >= 1 && timesPerWeek <= 7)) {
+            this.showErrorMessage('Times per week must be between 1 and 7.');
+            return false;
+        }
+
+        return true;
+    }
+
+    // List habits with their missed occurrences
+    renderHabitsList() {
+        const list = document.getElementById('habitsList');
+        const habits = window.dataStorage.getHabits(true);
+        const activities = window.dataStorage.getAllActivities();
+        list.innerHTML = '';
+
+        if (habits.length === 0) {
+            list.innerHTML = '<p class="no-activities">No habits yet.</p>';
+            return;
+        }
+
+        // Active habits first, then archived ones
+        [...habits]
+            .sort((a, b) => Boolean(a.archivedDate) - Boolean(b.archivedDate))
+            .forEach(habit => {
+                const misses = window.habitTracker.getMissedOccurrences(habit, new Date(), activities);
+                const missedTotal = misses.reduce((sum, miss) => sum + miss.missed, 0);
+
+                const card = document.createElement('div');
+                card.className = `habit-card${habit.archivedDate ? ' archived' : ''}`;
+
+                const header = document.createElement('div');
+                header.className = 'activity-header';
+
+                const name = document.createElement('span');
+                name.className = 'activity-name';
+                name.textContent = habit.name;
+
+                const schedule = document.createElement('span');
+                schedule.className = 'habit-details';
+                schedule.textContent = habit.archivedDate
+                    ? `${window.habitTracker.describeSchedule(habit.schedule)} · archived ${new Date(habit.archivedDate).toLocaleDateString()}`
+                    : window.habitTracker.describeSchedule(habit.schedule);
+
+                header.appendChild(name);
+                header.appendChild(schedule);
+                card.appendChild(header);
+
+                const streak = window.streakTracker.getHabitStreak(habit, new Date(), activities);
+                const streakSummary = document.createElement('div');
+                streakSummary.className = 'habit-misses';
+                streakSummary.textContent = `Streak: ${streak.current} ${streak.unit}${streak.current === 1 ? '' : 's'} (best ${streak.longest})`;
+                card.appendChild(streakSummary);
+
+                const missedSummary = document.createElement('div');
+                missedSummary.className = 'habit-misses';
+                missedSummary.textContent = missedTotal === 0
+                    ? 'No missed occurrences.'
+                    : `Missed ${missedTotal} time${missedTotal === 1 ? '' : 's'}: ` + misses.slice(0, 10).map(miss => {
+                        const date = new Date(`${miss.date}T00:00:00`).toLocaleDateString();
+                        return miss.period === 'week' ? `week of ${date} (×${miss.missed})` : date;
+                    }).join(', ') + (misses.length > 10 ? ', …' : '');
+                card.appendChild(missedSummary);
+
+                if (!habit.archivedDate) {
+                    const archiveButton = document.createElement('button');
+                    archiveButton.type = 'button';
+                    archiveButton.className = 'section-btn';
+                    archiveButton.textContent = 'Archive';
+                    archiveButton.addEventListener('click', () => {
+                        if (confirm(`Stop tracking "${habit.name}"? Its history is kept.`)) {
+                            window.dataStorage.archiveHabit(habit.id);
+                            this.renderHabitsList();
+                            this.updateHabitChecklist();
+                        }
+                    });
+                    card.appendChild(archiveButton);
+                }
+
+                list.appendChild(card);
+            });
+    }
+
+    // Open the settings panel
+    openSettings() {
+        document.getElementById('addStatForm').reset();
+        this.renderStatSettings();
+        this.renderLevelCurveForm();
+        this.renderTitleEditor();
+        document.getElementById('settingsModal').style.display = 'block';
+    }
+
+    // One row per stat with its color, name, position and archive toggle.
+    // Active stats are listed in star order, archived ones after them.
+    renderStatSettings() {
+        const list = document.getElementById('statSettingsList');
+        const registry = window.statRegistry;
+        const active = registry.getStats();
+        const archived = registry.getAllStats().filter(stat => stat.archived);
+        list.innerHTML = '';
+
+        [...active, ...archived].forEach(stat => {
+            const position = active.indexOf(stat);
+
+            const item = document.createElement('li');
+            item.className = `stat-setting${stat.archived ? ' archived' : ''}`;
+            item.style.setProperty('--stat-color', stat.color);
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = stat.color;
+            color.setAttribute('aria-label', `${stat.name} color`);
+            color.addEventListener('change', () => this.updateStatDefinition(stat.key, { color: color.value }));
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'stat-setting-name';
+            name.value = stat.name;
+            name.maxLength = 20;
+            name.setAttribute('aria-label', `${stat.name} name`);
+            name.addEventListener('change', () => this.updateStatDefinition(stat.key, { name: name.value }));
+
+            const upButton = document.createElement('button');
+            upButton.type = 'button';
+            upButton.className = 'section-btn';
+            upButton.textContent = '↑';
+            upButton.title = 'Move counter-clockwise';
+            upButton.disabled = position <= 0;
+            upButton.addEventListener('click', () => this.moveStat(stat.key, -1));
+
+            const downButton = document.createElement('button');
+            downButton.type = 'button';
+            downButton.className = 'section-btn';
+            downButton.textContent = '↓';
+            downButton.title = 'Move clockwise';
+            downButton.disabled = position === -1 || position === active.length - 1;
+            downButton.addEventListener('click', () => this.moveStat(stat.key, 1));
+
+            const archiveButton = document.createElement('button');
+            archiveButton.type = 'button';
+            archiveButton.className = 'section-btn';
+            archiveButton.textContent = stat.archived ? 'Restore' : 'Archive';
+            archiveButton.addEventListener('click', () => {
+                if (stat.archived || confirm(`Archive "${stat.name}"? It leaves the star but its points and history are kept.`)) {
+                    this.updateStatDefinition(stat.key, { archived: !stat.archived });
+                }
+            });
+
+            item.append(color, name, upButton, downButton, archiveButton);
+            list.appendChild(item);
+        });
+    }
+
+    // Change a stat's name, color or archived flag
+    updateStatDefinition(key, changes) {
+        const definitions = window.statRegistry.getAllStats()
+            .map(stat => stat.key === key ? { ...stat, ...changes } : { ...stat });
+        this.saveStatDefinitions(definitions);
+    }
+
+    // Swap an active stat with its neighbour around the star. Archived stats
+    // keep their place in the list.
+    moveStat(key, offset) {
+        const definitions = window.statRegistry.getAllStats().map(stat => ({ ...stat }));
+        const activeIndexes = definitions
+            .map((stat, index) => stat.archived ? -1 : index)
+            .filter(index => index !== -1);
+        const position = activeIndexes.indexOf(definitions.findIndex(stat => stat.key === key));
+        const target = activeIndexes[position + offset];
+
+        if (position === -1 || target === undefined) {
+            return;
+        }
+
+        const from = activeIndexes[position];
+        [definitions[from], definitions[target]] = [definitions[target], definitions[from]];
+        this.saveStatDefinitions(definitions);
+    }
+
+    // Add a new stat from the settings form
+    handleAddStat(e) {
+        e.preventDefault();
+
+        const name = document.getElementById('newStatName').value.trim();
+        const definitions = window.statRegistry.getAllStats().map(stat => ({ ...stat }));
+        definitions.push({
+            key: window.statRegistry.createKey(name),
+            name: name,
+            color: document.getElementById('newStatColor').value,
+            archived: false
+        });
+
+        if (this.saveStatDefinitions(definitions)) {
+            e.target.reset();
+            this.showSuccessMessage(`Added "${name}" to the star!`);
+        }
+    }
+
+    // Save the stat list and redraw everything that shows stats. Settings are
+    // re-rendered either way so a rejected edit snaps back.
+    saveStatDefinitions(definitions) {
+        const result = window.dataStorage.updateStatDefinitions(definitions);
+
+        if (result.success) {
+            this.rebuildStatControls();
+            this.refreshActivityData();
+            this.updateTemplateChips();
+            // Badge descriptions name the stats
+            this.updateTrophyCase();
+        } else {
+            this.showErrorMessage(result.error);
+        }
+
+        this.renderStatSettings();
+        this.renderTitleEditor();
+        return result.success;
+    }
+
+    // Fill the XP curve form with the saved curve
+    renderLevelCurveForm() {
+        const curve = window.levelSystem.curve;
+        document.getElementById('levelCurveType').value = curve.type;
+        document.getElementById('levelCurveBase').value = curve.base;
+        document.getElementById('levelCurveTable').value = curve.table.join(', ');
+        this.updateLevelCurveFields();
+    }
+
+    // Curve described by the XP curve form
+    readLevelCurveForm() {
+        return {
+            type: document.getElementById('levelCurveType').value,
+            base: parseInt(document.getElementById('levelCurveBase').value),
+            table: document.getElementById('levelCurveTable').value
+                .split(',')
+                .map(value => value.trim())
+                .filter(value => value !== '')
+                .map(Number)
+        };
+    }
+
+    // Show the inputs for the chosen curve type and preview a few levels
+    updateLevelCurveFields() {
+        const curve = this.readLevelCurveForm();
+        const problems = window.levelSystem.validateCurve(curve);
+
+        document.getElementById('levelCurveBaseGroup').hidden = curve.type === 'custom';
+        document.getElementById('levelCurveTableGroup').hidden = curve.type !== 'custom';
+        document.getElementById('levelCurvePreview').textContent = problems.length > 0
+            ? problems[0]
+            : window.levelSystem.describeCurve(curve);
+    }
+
+    // Save the XP curve and redraw the level
+    handleLevelCurveSubmit(e) {
+        e.preventDefault();
+
+        const result = window.dataStorage.updateLevelCurve(this.readLevelCurveForm());
+        if (!result.success) {
+            this.showErrorMessage(result.error);
+            return;
+        }
+
+        this.updateCharacterLevel();
+        this.showSuccessMessage('XP curve saved!');
+    }
+
+    // Fill the title editor with the chosen stat's ladder
+    renderTitleEditor() {
+        const select = document.getElementById('titleStat');
+        const rows = document.getElementById('titleLadderRows');
+        const selected = select.value;
+
+        select.innerHTML = '';
+        window.statRegistry.getStats().forEach(stat => select.add(new Option(stat.name, stat.key)));
+        select.value = selected;
+        if (select.selectedIndex === -1) {
+            select.selectedIndex = 0;
+        }
+
+        const titles = window.titleSystem.getTitles(select.value);
+        rows.innerHTML = '';
+
+        titles.forEach((t, tier) => {
+            const row = document.createElement('tr');
+
+            const tierCell = document.createElement('td');
+            tierCell.className = 'title-tier';
+            tierCell.style.color = window.titleSystem.getTierColor(tier);
+            tierCell.textContent = tier;
+
+            const nameCell = document.createElement('td');
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'title-name';
+            name.value = t.title;
+            name.required = true;
+            name.maxLength = 30;
+            name.setAttribute('aria-label', `Tier ${tier} title`);
+            nameCell.appendChild(name);
+
+            const minCell = document.createElement('td');
+            const min = document.createElement('input');
+            min.type = 'number';
+            min.className = 'title-min';
+            min.min = 0;
+            min.value = t.min;
+            min.setAttribute('aria-label', `Tier ${tier} starts at`);
+            minCell.appendChild(min);
+
+            // The top tier is open-ended
+            const maxCell = document.createElement('td');
+            if (tier === titles.length - 1) {
+                maxCell.textContent = 'and up';
+            } else {
+                const max = document.createElement('input');
+                max.type = 'number';
+                max.className = 'title-max';
+                max.min = 0;
+                max.value = t.max;
+                max.setAttribute('aria-label', `Tier ${tier} ends at`);
+                maxCell.appendChild(max);
+            }
+
+            row.append(tierCell, nameCell, minCell, maxCell);
+            rows.appendChild(row);
+        });
+
+        document.getElementById('resetTitlesBtn').disabled = !(select.value in window.dataStorage.getTitleLadders());
+    }
+
+    // Save the edited ladder for the chosen stat
+    handleTitleLadderSubmit(e) {
+        e.preventDefault();
+
+        const stat = document.getElementById('titleStat').value;
+        const titles = [...document.querySelectorAll('#titleLadderRows tr')].map(row => {
+            const max = row.querySelector('.title-max');
+            return {
+                title: row.querySelector('.title-name').value,
+                min: parseInt(row.querySelector('.title-min').value),
+                max: max ? parseInt(max.value) : Infinity
+            };
+        });
+
+        const result = window.dataStorage.updateTitleLadder(stat, titles);
+        if (!result.success) {
+            this.showErrorMessage(result.error);
+            return;
+        }
+
+        this.updateStatsDisplay();
+        this.renderTitleEditor();
+        this.showSuccessMessage(`${window.statRegistry.getName(stat)} titles saved!`);
+    }
+
+    // Go back to the built-in ladder for the chosen stat
+    resetTitleLadder() {
+        const stat = document.getElementById('titleStat').value;
+        window.dataStorage.updateTitleLadder(stat, null);
+        this.updateStatsDisplay();
+        this.renderTitleEditor();
+    }
+
+    // Re-render the per-stat inputs, labels and star axes for the current stat list
+    rebuildStatControls() {
+        this.renderStatControls();
+        this.updateSliderValues();
+        window.starVisualization.initializeSVG();
+    }
+
     // Extract activity data from form
     extractActivityData(formData) {
         const stats = {};
-        const statTypes = ['physical', 'mental', 'social', 'creative', 'productive'];
-        
-        statTypes.forEach(stat => {
+        window.statRegistry.getKeys().forEach(stat => {
             const value = parseInt(formData.get(`${stat}Points`)) || 0;
             if (value > 0) {
                 stats[stat] = value;
             }
         });
 
+        const dateValue = formData.get('activityDate');
+
         return {
             name: formData.get('activityName').trim(),
             stats: stats,
-            notes: formData.get('activityNotes').trim()
+            notes: formData.get('activityNotes').trim(),
+            // An untouched picker means now, to the second
+            date: dateValue && this.activityDateEdited ? new Date(dateValue) : new Date(),
+            timeSlot: formData.get('activityTimeSlot'),
+            // Confidants only count for time spent on Social activities
+            confidantIds: stats[window.confidantTracker.socialStat] > 0 ? formData.getAll('confidantIds') : []
         };
     }
 
@@ -159,15 +1192,226 @@ class LifeGamifyApp {
             return false;
         }
 
+        if (!this.validateActivityDate(activityData.date)) {
+            document.getElementById('activityDate').focus();
+            return false;
+        }
+
         return true;
     }
 
+    // Activities can be backdated but not logged in the future
+    validateActivityDate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            this.showErrorMessage('Please enter a valid date and time.');
+            return false;
+        }
+
+        if (date.getTime() > Date.now() + 60 * 1000) {
+            this.showErrorMessage('Activity date cannot be in the future.');
+            return false;
+        }
+
+        return true;
+    }
+
+    // Format a date for a datetime-local input (local time, minute precision)
+    toDateTimeLocalValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // Reset the add form's date picker to the current time
+    resetActivityDate() {
+        const dateInput = document.getElementById('activityDate');
+        const now = this.toDateTimeLocalValue(new Date());
+        dateInput.value = now;
+        dateInput.max = now;
+        this.activityDateEdited = false;
+        this.syncTimeSlot(dateInput, document.getElementById('activityTimeSlot'));
+    }
+
+    // Move the add form's date picker along with the clock: the latest allowed
+    // time always, and the time itself unless it was changed by hand. A time
+    // of day picked by hand is kept.
+    refreshActivityDate() {
+        const dateInput = document.getElementById('activityDate');
+        const timeSlotSelect = document.getElementById('activityTimeSlot');
+        const now = this.toDateTimeLocalValue(new Date());
+        dateInput.max = now;
+
+        if (!this.activityDateEdited && dateInput.value !== now) {
+            const followsDate = timeSlotSelect.value === window.timeSlots.getSlotForDate(new Date(dateInput.value));
+            dateInput.value = now;
+            if (followsDate) {
+                this.syncTimeSlot(dateInput, timeSlotSelect);
+            }
+        }
+    }
+
+    // Fill the intensity guide with what 1-5 points mean for each active stat
+    renderIntensityGuide() {
+        const body = document.getElementById('intensityGuideBody');
+        body.innerHTML = '';
+
+        window.statRegistry.getStats().forEach(stat => {
+            const section = document.createElement('div');
+            section.className = 'guide-section';
+
+            const heading = document.createElement('h3');
+            heading.textContent = stat.name;
+
+            const list = document.createElement('ul');
+            window.statRegistry.getIntensityGuide(stat.key).forEach((description, index) => {
+                const item = document.createElement('li');
+                const points = document.createElement('strong');
+                points.textContent = index === 0 ? '1 point:' : `${index + 1} points:`;
+                item.append(points, ` ${description}`);
+                list.appendChild(item);
+            });
+
+            section.append(heading, list);
+            body.appendChild(section);
+        });
+    }
+
+    // Fill a select with the time of day slots
+    renderTimeSlotOptions(select) {
+        window.timeSlots.slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.key;
+            option.textContent = `${slot.name} (${window.timeSlots.describeHours(slot.key)})`;
+            select.appendChild(option);
+        });
+    }
+
+    // Set a time of day select to the slot of a datetime input's time
+    syncTimeSlot(dateInput, select) {
+        const date = new Date(dateInput.value);
+        if (!isNaN(date.getTime())) {
+            select.value = window.timeSlots.getSlotForDate(date);
+        }
+    }
+
     // Update slider value displays
     updateSliderValues() {
         const sliders = document.querySelectorAll('input[type="range"]');
         sliders.forEach(slider => {
             this.updateSliderValue(slider);
         });
+        this.updateConfidantPickerVisibility();
+    }
+
+    // Suggest past activity names while typing
+    setupNameAutocomplete() {
+        const nameInput = document.getElementById('activityName');
+        const suggestionList = document.getElementById('activityNameSuggestions');
+
+        nameInput.addEventListener('input', () => this.renderNameSuggestions());
+        nameInput.addEventListener('blur', () => this.hideNameSuggestions());
+
+        nameInput.addEventListener('keydown', (e) => {
+            if (this.nameSuggestions.length === 0) {
+                return;
+            }
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.nameSuggestions.length;
+                this.highlightSuggestion((this.activeSuggestion + step + count) % count);
+            } else if (e.key === 'Enter' && this.activeSuggestion >= 0 && !(e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.applyNameSuggestion(this.nameSuggestions[this.activeSuggestion]);
+            } else if (e.key === 'Escape') {
+                // Close the list without clearing the form
+                e.stopPropagation();
+                this.hideNameSuggestions();
+            }
+        });
+
+        // Keep focus in the input so blur doesn't close the list before the click lands
+        suggestionList.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+
+    // Show suggestions matching the current activity name
+    renderNameSuggestions() {
+        const nameInput = document.getElementById('activityName');
+        const suggestionList = document.getElementById('activityNameSuggestions');
+
+        this.nameSuggestions = window.dataStorage.getActivitySuggestions(nameInput.value);
+        this.activeSuggestion = -1;
+        suggestionList.innerHTML = '';
+
+        if (this.nameSuggestions.length === 0) {
+            this.hideNameSuggestions();
+            return;
+        }
+
+        this.nameSuggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = 'autocomplete-item';
+            item.id = `activityNameSuggestion-${index}`;
+            item.setAttribute('role', 'option');
+
+            const name = document.createElement('span');
+            name.className = 'autocomplete-name';
+            name.textContent = suggestion.name;
+
+            const points = document.createElement('span');
+            points.className = 'autocomplete-points';
+            const pointsText = Object.entries(suggestion.stats)
+                .map(([stat, value]) => `${window.statRegistry.getName(stat)} +${value}`)
+                .join(', ');
+            points.textContent = `${pointsText || 'No points'} · ${suggestion.count}×`;
+
+            item.appendChild(name);
+            item.appendChild(points);
+            item.addEventListener('click', () => this.applyNameSuggestion(suggestion));
+            suggestionList.appendChild(item);
+        });
+
+        suggestionList.hidden = false;
+        nameInput.setAttribute('aria-expanded', 'true');
+    }
+
+    // Move the keyboard highlight to a suggestion
+    highlightSuggestion(index) {
+        const nameInput = document.getElementById('activityName');
+        const items = document.querySelectorAll('#activityNameSuggestions .autocomplete-item');
+
+        this.activeSuggestion = index;
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+        nameInput.setAttribute('aria-activedescendant', items[index].id);
+        items[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    // Fill in the name and the points most often given to that activity
+    applyNameSuggestion(suggestion) {
+        document.getElementById('activityName').value = suggestion.name;
+
+        window.statRegistry.getKeys().forEach(stat => {
+            document.getElementById(`${stat}Points`).value = suggestion.stats[stat] || 0;
+        });
+        this.updateSliderValues();
+        this.hideNameSuggestions();
+    }
+
+    // Close the suggestion list
+    hideNameSuggestions() {
+        const nameInput = document.getElementById('activityName');
+        const suggestionList = document.getElementById('activityNameSuggestions');
+
+        this.nameSuggestions = [];
+        this.activeSuggestion = -1;
+        suggestionList.hidden = true;
+        suggestionList.innerHTML = '';
+        nameInput.setAttribute('aria-expanded', 'false');
+        nameInput.removeAttribute('aria-activedescendant');
     }
 
     // Update individual slider value display
@@ -189,9 +1433,7 @@ class LifeGamifyApp {
 
     // Update stats display in the summary section
     updateStatsDisplay() {
-        const statTypes = ['physical', 'mental', 'social', 'creative', 'productive'];
-        
-        statTypes.forEach(stat => {
+        window.statRegistry.getKeys().forEach(stat => {
             const element = document.getElementById(`${stat}Total`);
             const nameElement = element?.parentElement.querySelector('.stat-name');
             
@@ -220,50 +1462,370 @@ class LifeGamifyApp {
         
         // Update star visualization labels
         this.updateStarLabels();
+        this.updateRankProgress();
+        this.updateCharacterLevel();
+        this.updateStreaksDisplay();
+    }
+
+    // Show the overall level and XP bar in the header. The badge takes the
+    // color of the average title tier across the stats.
+    updateCharacterLevel() {
+        const { totalPoints } = window.dataStorage.getDataSummary();
+        const { averageTier } = window.titleSystem.getTitlesSummary(this.currentStats);
+        const info = window.levelSystem.getLevelInfo(totalPoints);
+        const xpBar = document.getElementById('xpBar');
+
+        document.getElementById('levelNumber').textContent = info.level;
+        document.getElementById('levelBadge').style.setProperty('--tier-color', window.titleSystem.getTierColor(Math.floor(averageTier)));
+        document.getElementById('characterLevel').title = `Level ${info.level} · average rank tier ${averageTier.toFixed(1)}`;
+        document.getElementById('xpBarFill').style.width = `${info.progress}%`;
+        xpBar.setAttribute('aria-valuenow', Math.round(info.progress));
+        xpBar.setAttribute('aria-label', `Level ${info.level} progress`);
+        document.getElementById('xpText').textContent = info.isMaxLevel
+            ? `${info.xp} XP · max level`
+            : `${info.xp} / ${info.nextLevelXp} XP · ${info.xpToNext} to level ${info.level + 1}`;
+    }
+
+    // Show how far each stat is toward its next title, as a bar on its
+    // summary card and an arc on its star axis
+    updateRankProgress() {
+        const progressByStat = {};
+
+        window.statRegistry.getKeys().forEach(stat => {
+            const progress = window.titleSystem.getProgressToNextTier(stat, this.currentStats[stat] || 0);
+            const item = document.querySelector(`#statsGrid .stat-item[data-stat="${stat}"]`);
+            if (!progress || !item) return;
+
+            progressByStat[stat] = progress;
+            const detail = window.titleSystem.describeProgress(progress);
+            const bar = item.querySelector('.stat-progress');
+
+            item.classList.toggle('max-tier', progress.isMaxTier);
+            bar.setAttribute('aria-valuenow', Math.round(progress.progress));
+            bar.setAttribute('aria-label', detail);
+            bar.title = detail;
+            item.querySelector('.stat-progress-fill').style.width = `${progress.progress}%`;
+            item.querySelector('.stat-progress-detail').textContent = detail;
+        });
+
+        window.starVisualization.drawProgressArcs(progressByStat);
+    }
+
+    // Show current and longest streaks per stat and per recurring activity
+    updateStreaksDisplay() {
+        const now = new Date();
+        const activities = window.dataStorage.getAllActivities();
+        const statStreaks = window.streakTracker.getStatStreaks(now, activities);
+
+        Object.entries(statStreaks).forEach(([stat, streak]) => {
+            const element = document.getElementById(`${stat}Streak`);
+            if (element) {
+                element.textContent = streak.longest > 0 ? `🔥 ${streak.current} / ${streak.longest}` : '';
+                element.classList.toggle('active', streak.current > 0);
+            }
+        });
+
+        const list = document.getElementById('activityStreaks');
+        const activityStreaks = window.streakTracker.getActivityStreaks(now, activities).slice(0, 5);
+        list.innerHTML = '';
+
+        if (activityStreaks.length === 0) {
+            list.innerHTML = '<li class="no-streaks">Log an activity on more than one day to start a streak.</li>';
+            return;
+        }
+
+        activityStreaks.forEach(streak => {
+            const item = document.createElement('li');
+            item.className = `activity-streak${streak.current > 0 ? ' active' : ''}`;
+
+            const name = document.createElement('span');
+            name.className = 'activity-streak-name';
+            name.textContent = streak.name;
+
+            const days = document.createElement('span');
+            days.className = 'activity-streak-days';
+            days.textContent = `${streak.current} day${streak.current === 1 ? '' : 's'} (best ${streak.longest})`;
+
+            item.appendChild(name);
+            item.appendChild(days);
+            list.appendChild(item);
+        });
+    }
+
+    // Unlock any achievements whose rules are now met, announce them and
+    // redraw the trophy case
+    checkAchievements(now = new Date()) {
+        const newUnlocks = window.achievementSystem.findNewUnlocks(now);
+        const records = window.dataStorage.unlockAchievements(newUnlocks.map(achievement => achievement.id), now);
+
+        if (records.length > 0) {
+            const names = newUnlocks.map(achievement => `${achievement.icon} ${achievement.name}`).join(', ');
+            this.showMessage(`Achievement unlocked: ${names}`, 'success');
+        }
+        this.updateTrophyCase();
+    }
+
+    // Show every badge, earned ones with their unlock date
+    updateTrophyCase() {
+        const list = document.getElementById('trophyCase');
+        const trophies = window.achievementSystem.getTrophyCase();
+        const earned = trophies.filter(trophy => trophy.unlockedDate).length;
+
+        document.getElementById('trophyCount').textContent = `${earned} / ${trophies.length}`;
+        list.innerHTML = '';
+
+        trophies.forEach(trophy => {
+            const item = document.createElement('li');
+            item.className = `trophy${trophy.unlockedDate ? '' : ' locked'}`;
+            item.dataset.achievement = trophy.id;
+
+            const icon = document.createElement('span');
+            icon.className = 'trophy-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = trophy.icon;
+
+            const details = document.createElement('div');
+
+            const name = document.createElement('div');
+            name.className = 'trophy-name';
+            name.textContent = trophy.name;
+
+            const description = document.createElement('div');
+            description.className = 'trophy-description';
+            description.textContent = trophy.description;
+
+            details.appendChild(name);
+            details.appendChild(description);
+
+            if (trophy.unlockedDate) {
+                const date = document.createElement('div');
+                date.className = 'trophy-date';
+                date.textContent = `Unlocked ${new Date(trophy.unlockedDate).toLocaleDateString()}`;
+                details.appendChild(date);
+            }
+
+            item.appendChild(icon);
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+    }
+
+    // Re-run the day-based checks (decline, habits, achievements, the date
+    // picker's limit) just after local midnight for as long as the app stays open
+    scheduleDayRollover(now = new Date()) {
+        const nextDay = window.habitTracker.addDays(window.habitTracker.startOfDay(now), 1);
+
+        clearTimeout(this.dayRolloverTimer);
+        this.dayRolloverTimer = setTimeout(() => {
+            this.loadInitialData();
+            this.refreshActivityDate();
+            this.scheduleDayRollover();
+        }, nextDay - now + 1000);
+    }
+
+    // Update star visualization labels with titles
+    updateStarLabels() {
+        window.statRegistry.getKeys().forEach(stat => {
+            const labelElement = document.querySelector(`.stat-label[data-stat="${stat}"]`);
+            if (labelElement) {
+                const value = this.currentStats[stat] || 0;
+                const titleInfo = window.titleSystem.getTitleInfo(stat, value);
+                
+                // Update label text to show title
+                labelElement.textContent = titleInfo.title;
+                labelElement.style.color = titleInfo.color;
+                labelElement.style.fontWeight = 'bold';
+                labelElement.setAttribute('data-tier', titleInfo.tier);
+            }
+        });
+    }
+
+    // Update star visualization
+    updateStarVisualization() {
+        // Data changed under the playback; go back to the live star
+        if (this.timelineOpen) {
+            this.closeTimeline();
+            return;
+        }
+
+        const ghostDate = this.getGhostDate();
+        const ghostStats = ghostDate ? window.dataStorage.getStatsAsOf(ghostDate) : null;
+
+        window.starVisualization.setGhostStats(ghostStats);
+        window.starVisualization.updateStar(this.currentStats);
+        this.updateGhostSummary(ghostStats, ghostDate);
+    }
+
+    // Replay the star from the first activity to today
+    openTimeline() {
+        const timeline = window.timelinePlayback;
+        const dayCount = timeline.load();
+
+        if (dayCount === 0) {
+            this.showErrorMessage('Log an activity first to play back your history.');
+            return;
+        }
+
+        this.timelineOpen = true;
+        const scrubber = document.getElementById('timelineScrubber');
+        scrubber.max = dayCount - 1;
+        scrubber.value = 0;
+        timeline.setSpeed(parseInt(document.getElementById('timelineSpeed').value));
+
+        document.querySelector('.star-compare').hidden = true;
+        document.getElementById('ghostSummary').hidden = true;
+        document.getElementById('timelineControls').hidden = false;
+
+        // Hide the ghost while the timeline plays
+        window.starVisualization.setGhostStats(null);
+        window.starVisualization.drawGhostStar();
+
+        timeline.seek(0);
+        timeline.play();
+        this.updateTimelinePlayButton();
+    }
+
+    // Stop playback and show the current stats again
+    closeTimeline() {
+        window.timelinePlayback.stop();
+        this.timelineOpen = false;
+
+        document.querySelector('.star-compare').hidden = false;
+        document.getElementById('ghostSummary').hidden = false;
+        document.getElementById('timelineControls').hidden = true;
+
+        this.updateStarVisualization();
+    }
+
+    // Keep the scrubber and date label in step with the playback
+    updateTimelinePosition(index, date, stats) {
+        const total = Object.values(stats).reduce((sum, value) => sum + value, 0);
+        document.getElementById('timelineScrubber').value = index;
+        document.getElementById('timelineDate').textContent = `${date.toLocaleDateString()} · ${total} pts`;
+    }
+
+    // Show play or pause on the playback button
+    updateTimelinePlayButton() {
+        const button = document.getElementById('timelinePlayBtn');
+        const playing = window.timelinePlayback.playing;
+        button.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+        button.setAttribute('aria-label', playing ? 'Pause' : 'Play');
     }
 
-    // Update star visualization labels with titles
-    updateStarLabels() {
-        const statTypes = ['physical', 'mental', 'social', 'creative', 'productive'];
-        
-        statTypes.forEach(stat => {
-            const labelElement = document.querySelector(`.stat-label[data-stat="${stat}"]`);
-            if (labelElement) {
-                const value = this.currentStats[stat] || 0;
-                const titleInfo = window.titleSystem.getTitleInfo(stat, value);
-                
-                // Update label text to show title
-                labelElement.textContent = titleInfo.title;
-                labelElement.style.color = titleInfo.color;
-                labelElement.style.fontWeight = 'bold';
-                labelElement.setAttribute('data-tier', titleInfo.tier);
+    // Date to compare the current star against, or null for no comparison
+    getGhostDate() {
+        const range = document.getElementById('ghostRange').value;
+        const date = new Date();
+
+        switch (range) {
+            case 'week':
+                date.setDate(date.getDate() - 7);
+                return date;
+            case 'month':
+                date.setMonth(date.getMonth() - 1);
+                return date;
+            case 'quarter':
+                date.setMonth(date.getMonth() - 3);
+                return date;
+            case 'year':
+                date.setFullYear(date.getFullYear() - 1);
+                return date;
+            case 'custom': {
+                // Stats as of the end of the chosen day
+                const value = document.getElementById('ghostDate').value;
+                return value ? new Date(`${value}T23:59:59.999`) : null;
             }
-        });
+            default:
+                return null;
+        }
     }
 
-    // Update star visualization
-    updateStarVisualization() {
-        console.log('Updating star visualization with stats:', this.currentStats);
-        window.starVisualization.updateStar(this.currentStats);
+    // Describe which axes grew or shrank since the ghost date
+    updateGhostSummary(ghostStats, ghostDate) {
+        const summary = document.getElementById('ghostSummary');
+        if (!ghostStats) {
+            summary.textContent = '';
+            return;
+        }
+
+        const changes = window.statRegistry.getKeys()
+            .map(stat => ({ stat, change: (this.currentStats[stat] || 0) - (ghostStats[stat] || 0) }))
+            .filter(({ change }) => change !== 0)
+            .map(({ stat, change }) => `${window.statRegistry.getName(stat)} ${change > 0 ? '+' : '−'}${Math.abs(change)}`);
+
+        summary.textContent = changes.length > 0
+            ? `Since ${ghostDate.toLocaleDateString()}: ${changes.join(', ')}`
+            : `No change since ${ghostDate.toLocaleDateString()}`;
     }
 
     // Update activities list
     updateActivitiesList() {
         const activitiesList = document.getElementById('activitiesList');
         
-        if (this.currentActivities.length === 0) {
+        if (this.currentActivities.length === 0 && this.currentDeclines.length === 0) {
             activitiesList.innerHTML = '<p class="no-activities">No activities yet. Add your first activity above!</p>';
             return;
         }
 
         activitiesList.innerHTML = '';
         
-        this.currentActivities.forEach(activity => {
-            const activityElement = this.createActivityElement(activity);
-            activitiesList.appendChild(activityElement);
+        // Interleave activities and decline entries, newest first
+        const entries = [
+            ...this.currentActivities.map(activity => ({ date: activity.date, activity })),
+            ...this.currentDeclines.map(decline => ({ date: decline.date, decline }))
+        ].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 10);
+
+        entries.forEach(entry => {
+            const element = entry.activity
+                ? this.createActivityElement(entry.activity)
+                : this.createDeclineElement(entry.decline);
+            activitiesList.appendChild(element);
         });
     }
 
+    // Create decline ledger element for the list
+    createDeclineElement(decline) {
+        const declineDiv = document.createElement('div');
+        declineDiv.className = 'decline-entry';
+
+        const header = document.createElement('div');
+        header.className = 'activity-header';
+
+        const name = document.createElement('div');
+        name.className = 'activity-name';
+        const dayLabel = decline.days === 1 ? 'day' : 'days';
+        name.textContent = `Inactivity decline (${decline.days} ${dayLabel})`;
+
+        const date = document.createElement('div');
+        date.className = 'activity-date';
+        date.textContent = new Date(decline.date).toLocaleDateString();
+
+        header.appendChild(name);
+        header.appendChild(date);
+
+        const statsDiv = document.createElement('div');
+        statsDiv.className = 'activity-stats';
+
+        const badge = document.createElement('span');
+        badge.className = 'stat-badge';
+        badge.style.setProperty('--stat-color', window.statRegistry.getColor(decline.stat));
+        badge.textContent = `${window.statRegistry.getName(decline.stat)}: -${decline.points}`;
+        statsDiv.appendChild(badge);
+
+        // Backdated activities can refund part of a decline
+        if (decline.refunded > 0) {
+            const refund = document.createElement('span');
+            refund.className = 'decline-refund';
+            refund.textContent = `+${decline.refunded} refunded for backdated activity`;
+            statsDiv.appendChild(refund);
+        }
+
+        declineDiv.appendChild(header);
+        declineDiv.appendChild(statsDiv);
+
+        return declineDiv;
+    }
+
     // Create activity element for the list
     createActivityElement(activity) {
         // Main container with swipe functionality
@@ -272,6 +1834,31 @@ class LifeGamifyApp {
         activityContainer.setAttribute('data-activity-id', activity.id);
 
         // Activity content (swipeable part)
+        const activityDiv = this.createActivityContent(activity);
+
+        // Save-as-template button; keep presses from starting a swipe
+        const templateButton = document.createElement('button');
+        templateButton.type = 'button';
+        templateButton.className = 'save-template-btn';
+        templateButton.textContent = '☆ Template';
+        templateButton.title = 'Save as a quick-add template';
+        ['mousedown', 'touchstart'].forEach(type => {
+            templateButton.addEventListener(type, (e) => e.stopPropagation());
+        });
+        templateButton.addEventListener('click', () => this.saveActivityAsTemplate(activity));
+        activityDiv.querySelector('.activity-header').appendChild(templateButton);
+
+        // Assemble container
+        activityContainer.appendChild(activityDiv);
+
+        // Add swipe functionality
+        this.addSwipeGestures(activityContainer, activityDiv);
+
+        return activityContainer;
+    }
+
+    // Create the name, date, stat badges and notes of an activity
+    createActivityContent(activity) {
         const activityDiv = document.createElement('div');
         activityDiv.className = 'activity-item';
 
@@ -285,7 +1872,7 @@ class LifeGamifyApp {
 
         const date = document.createElement('div');
         date.className = 'activity-date';
-        date.textContent = activity.dateString;
+        date.textContent = `${activity.dateString} · ${window.timeSlots.getName(window.timeSlots.getSlot(activity))}`;
 
         header.appendChild(name);
         header.appendChild(date);
@@ -297,12 +1884,28 @@ class LifeGamifyApp {
         Object.entries(activity.stats).forEach(([stat, value]) => {
             if (value > 0) {
                 const badge = document.createElement('span');
-                badge.className = `stat-badge ${stat}`;
-                badge.textContent = `${stat.charAt(0).toUpperCase() + stat.slice(1)}: +${value}`;
+                badge.className = 'stat-badge';
+                badge.style.setProperty('--stat-color', window.statRegistry.getColor(stat));
+                badge.textContent = `${window.statRegistry.getName(stat)}: +${value}`;
                 statsDiv.appendChild(badge);
             }
         });
 
+        // Confidants tagged on the activity
+        let confidantsDiv = null;
+        if (activity.confidantIds && activity.confidantIds.length > 0) {
+            const confidants = window.dataStorage.getConfidants(true);
+            const names = activity.confidantIds
+                .map(id => confidants.find(confidant => confidant.id === id))
+                .filter(Boolean)
+                .map(confidant => confidant.name);
+            if (names.length > 0) {
+                confidantsDiv = document.createElement('div');
+                confidantsDiv.className = 'activity-confidants';
+                confidantsDiv.textContent = `with ${names.join(', ')}`;
+            }
+        }
+
         // Activity notes
         let notesDiv = null;
         if (activity.notes) {
@@ -314,17 +1917,302 @@ class LifeGamifyApp {
         // Assemble activity content
         activityDiv.appendChild(header);
         activityDiv.appendChild(statsDiv);
+        if (confidantsDiv) {
+            activityDiv.appendChild(confidantsDiv);
+        }
         if (notesDiv) {
             activityDiv.appendChild(notesDiv);
         }
 
-        // Assemble container
-        activityContainer.appendChild(activityDiv);
+        return activityDiv;
+    }
 
-        // Add swipe functionality
-        this.addSwipeGestures(activityContainer, activityDiv);
+    // Open the history browser on its first page
+    openHistory() {
+        document.getElementById('historyModal').style.display = 'block';
+        this.renderHistory(1);
+        document.getElementById('historySearch').focus();
+    }
 
-        return activityContainer;
+    // Read the history filter inputs into a search query
+    getHistoryFilters() {
+        const fromValue = document.getElementById('historyFrom').value;
+        const toValue = document.getElementById('historyTo').value;
+
+        return {
+            text: document.getElementById('historySearch').value,
+            stat: document.getElementById('historyStat').value || null,
+            // Date inputs are whole local days; include all of the "to" day
+            from: fromValue ? new Date(`${fromValue}T00:00:00`) : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`) : null,
+            minPoints: parseInt(document.getElementById('historyMinPoints').value) || 0
+        };
+    }
+
+    // Render one page of filtered history
+    async renderHistory(page) {
+        const request = ++this.historyRequest;
+        const result = await window.dataStorage.searchActivities({ ...this.getHistoryFilters(), page: page });
+        if (request !== this.historyRequest) {
+            return;
+        }
+        this.historyPage = result.page;
+
+        const summary = document.getElementById('historySummary');
+        summary.textContent = `${result.total} ${result.total === 1 ? 'activity' : 'activities'} found`;
+
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+
+        if (result.activities.length === 0) {
+            list.innerHTML = '<p class="no-activities">No activities match these filters.</p>';
+        }
+
+        result.activities.forEach(activity => {
+            const item = this.createActivityContent(activity);
+            item.classList.add('history-item');
+            list.appendChild(item);
+        });
+
+        document.getElementById('historyPageInfo').textContent = `Page ${result.page} of ${result.totalPages}`;
+        document.getElementById('historyPrevBtn').disabled = result.page <= 1;
+        document.getElementById('historyNextBtn').disabled = result.page >= result.totalPages;
+    }
+
+    // Redraw the calendar heatmap for the selected stat and year
+    async updateHeatmap() {
+        const stat = document.getElementById('heatmapStat').value || null;
+        const summary = await window.calendarHeatmap.render({
+            endDate: this.heatmapEndDate,
+            stat: stat,
+            selectedDay: this.heatmapSelectedDay
+        });
+
+        // A newer render has taken over
+        if (!summary) {
+            return;
+        }
+
+        const today = new Date();
+        const lastDay = summary.end < today ? summary.end : today;
+        document.getElementById('heatmapSummary').textContent =
+            `${summary.totalPoints} points on ${summary.activeDays} day${summary.activeDays === 1 ? '' : 's'} ` +
+            `(${summary.start.toLocaleDateString()} – ${lastDay.toLocaleDateString()})`;
+        document.getElementById('heatmapNextBtn').disabled = summary.end >= window.habitTracker.startOfDay(today);
+
+        // Legend from empty to the busiest shade
+        const legend = document.getElementById('heatmapLegend');
+        const color = stat ? window.starVisualization.statColors[stat] : window.calendarHeatmap.allStatsColor;
+        legend.innerHTML = '<span>Less</span>';
+        window.calendarHeatmap.levelOpacity.forEach((opacity, level) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'heatmap-swatch';
+            swatch.style.background = level === 0 ? window.calendarHeatmap.emptyColor : color;
+            swatch.style.opacity = level === 0 ? 1 : opacity;
+            legend.appendChild(swatch);
+        });
+        legend.insertAdjacentHTML('beforeend', '<span>More</span>');
+
+        if (this.heatmapSelectedDay) {
+            this.renderHeatmapDay(this.heatmapSelectedDay);
+        }
+    }
+
+    // Move the heatmap a year back or forward
+    shiftHeatmapYear(direction) {
+        const endDate = new Date(this.heatmapEndDate);
+        endDate.setFullYear(endDate.getFullYear() + direction);
+        this.heatmapEndDate = endDate > new Date() ? new Date() : endDate;
+        this.updateHeatmap();
+    }
+
+    // Select a heatmap day (or clear it when clicked again) and list its activities
+    showHeatmapDay(day) {
+        this.heatmapSelectedDay = this.heatmapSelectedDay === day ? null : day;
+        this.updateHeatmap();
+        if (!this.heatmapSelectedDay) {
+            document.getElementById('heatmapDayDetails').innerHTML = '';
+        }
+    }
+
+    // List the activities logged on a day (only those for the filtered stat)
+    async renderHeatmapDay(day) {
+        const details = document.getElementById('heatmapDayDetails');
+        const stat = document.getElementById('heatmapStat').value || null;
+        const start = new Date(`${day}T00:00:00`);
+        const end = new Date(window.habitTracker.addDays(start, 1).getTime() - 1);
+        const activities = await window.dataStorage.queryActivities({ from: start, to: end, stat: stat });
+
+        details.innerHTML = '';
+        const heading = document.createElement('h3');
+        heading.textContent = start.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        details.appendChild(heading);
+
+        if (activities.length === 0) {
+            details.insertAdjacentHTML('beforeend', '<p class="no-activities">No activities on this day.</p>');
+            return;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'activities-list';
+        activities.forEach(activity => {
+            const item = this.createActivityContent(activity);
+            item.classList.add('history-item');
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+    }
+
+    // Open the time of day calendar on the current month
+    openCalendar() {
+        this.calendarMonth = new Date();
+        this.calendarSelectedDay = null;
+        document.getElementById('calendarModal').style.display = 'block';
+        this.renderCalendar();
+    }
+
+    // Move the calendar a month back or forward (not past this month)
+    shiftCalendarMonth(direction) {
+        const month = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + direction, 1);
+        this.calendarMonth = month > new Date() ? new Date() : month;
+        this.calendarSelectedDay = null;
+        this.renderCalendar();
+    }
+
+    // Draw the month with each day's slots filled (in the color of the stat
+    // that got the most points there) or left empty
+    async renderCalendar() {
+        const grid = document.getElementById('calendarGrid');
+        const slots = window.timeSlots;
+        const request = ++this.calendarRequest;
+        const firstDay = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth(), 1);
+        const nextMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + 1, 1);
+        const activities = await window.dataStorage.queryActivities({ from: firstDay, to: new Date(nextMonth.getTime() - 1) });
+        if (request !== this.calendarRequest) {
+            return;
+        }
+
+        const weeks = slots.getMonth(this.calendarMonth, activities);
+        const todayKey = window.habitTracker.dayKey(new Date());
+        const now = new Date();
+
+        document.getElementById('calendarMonth').textContent = this.calendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        document.getElementById('calendarNextBtn').disabled =
+            this.calendarMonth.getFullYear() === now.getFullYear() && this.calendarMonth.getMonth() === now.getMonth();
+        grid.innerHTML = '';
+
+        // Weeks start on Monday, like the habit tracker
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const heading = document.createElement('div');
+            heading.className = 'calendar-weekday';
+            heading.textContent = window.habitTracker.weekdayNames[day];
+            grid.appendChild(heading);
+        });
+
+        const days = weeks.flat().filter(Boolean);
+        weeks.flat().forEach(day => {
+            if (!day) {
+                const blank = document.createElement('div');
+                blank.className = 'calendar-day blank';
+                grid.appendChild(blank);
+                return;
+            }
+
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.className = 'calendar-day';
+            cell.classList.toggle('today', day.key === todayKey);
+            cell.classList.toggle('selected', day.key === this.calendarSelectedDay);
+            cell.dataset.day = day.key;
+
+            const number = document.createElement('span');
+            number.className = 'calendar-day-number';
+            number.textContent = day.date.getDate();
+            cell.appendChild(number);
+
+            const slotRow = document.createElement('span');
+            slotRow.className = 'calendar-slots';
+            const slotNotes = [];
+            slots.slots.forEach(slot => {
+                const activities = day.slots[slot.key];
+                const pip = document.createElement('span');
+                pip.className = `calendar-slot${activities.length > 0 ? ' filled' : ''}`;
+                pip.dataset.slot = slot.key;
+                if (activities.length > 0) {
+                    pip.style.setProperty('--stat-color', window.statRegistry.getColor(this.getTopStat(activities)));
+                }
+                slotRow.appendChild(pip);
+                slotNotes.push(`${slot.name}: ${activities.length > 0 ? activities.map(activity => activity.name).join(', ') : 'free'}`);
+            });
+            cell.appendChild(slotRow);
+            cell.title = slotNotes.join('\n');
+            cell.setAttribute('aria-label', `${day.date.toLocaleDateString()}. ${slotNotes.join('. ')}`);
+            cell.addEventListener('click', () => {
+                this.calendarSelectedDay = day.key;
+                this.renderCalendar();
+            });
+
+            grid.appendChild(cell);
+        });
+
+        // Where the month's time went
+        const counts = slots.countBySlot(days);
+        const filled = days.reduce((sum, day) => sum + slots.getKeys().filter(slot => day.slots[slot].length > 0).length, 0);
+        document.getElementById('calendarSummary').textContent =
+            `${filled} of ${days.length * slots.slots.length} slots filled · ` +
+            slots.slots.map(slot => `${slot.name}: ${counts[slot.key]}`).join(' · ');
+
+        this.renderCalendarDay(days.find(day => day.key === this.calendarSelectedDay) || null);
+    }
+
+    // Stat with the most points across some activities
+    getTopStat(activities) {
+        const totals = {};
+        activities.forEach(activity => {
+            Object.entries(activity.stats).forEach(([stat, value]) => {
+                totals[stat] = (totals[stat] || 0) + value;
+            });
+        });
+        return Object.entries(totals).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // List a calendar day's activities slot by slot
+    renderCalendarDay(day) {
+        const details = document.getElementById('calendarDayDetails');
+        details.innerHTML = '';
+
+        if (!day) {
+            return;
+        }
+
+        const heading = document.createElement('h3');
+        heading.textContent = day.date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        details.appendChild(heading);
+
+        window.timeSlots.slots.forEach(slot => {
+            const section = document.createElement('div');
+            section.className = 'calendar-day-slot';
+
+            const title = document.createElement('h4');
+            title.textContent = `${slot.name} (${window.timeSlots.describeHours(slot.key)})`;
+            section.appendChild(title);
+
+            const activities = day.slots[slot.key];
+            if (activities.length === 0) {
+                section.insertAdjacentHTML('beforeend', '<p class="no-activities">Free</p>');
+            } else {
+                const list = document.createElement('div');
+                list.className = 'activities-list';
+                activities.forEach(activity => {
+                    const item = this.createActivityContent(activity);
+                    item.classList.add('history-item');
+                    list.appendChild(item);
+                });
+                section.appendChild(list);
+            }
+
+            details.appendChild(section);
+        });
     }
 
     // Show success message
@@ -524,7 +2412,7 @@ class LifeGamifyApp {
             const shouldTrigger = Math.abs(currentX) > threshold || velocity > velocityThreshold;
             
             if (shouldTrigger) {
-                const activityId = parseInt(container.getAttribute('data-activity-id'));
+                const activityId = container.getAttribute('data-activity-id');
                 
                 if (currentX > 0) {
                     // Right swipe - Edit
@@ -568,31 +2456,31 @@ class LifeGamifyApp {
 
         const activityItem = container.querySelector('.activity-item');
         
-        // Create edit form
+        // Create edit form (the name, notes and stat names are user data, so
+        // they are filled in below rather than written into the markup)
         const editForm = document.createElement('div');
         editForm.className = 'activity-edit-form';
         editForm.innerHTML = `
             <div class="edit-form-content">
                 <div class="form-group">
                     <label>Activity Name:</label>
-                    <input type="text" class="edit-name" value="${activity.name}" required>
+                    <input type="text" class="edit-name" required>
+                </div>
+                <div class="form-group">
+                    <label>When:</label>
+                    <input type="datetime-local" class="edit-date" required>
+                </div>
+                <div class="form-group">
+                    <label>Time of day:</label>
+                    <select class="edit-time-slot"></select>
                 </div>
                 <div class="form-group">
                     <label>Notes:</label>
-                    <textarea class="edit-notes" placeholder="Optional notes...">${activity.notes || ''}</textarea>
+                    <textarea class="edit-notes" placeholder="Optional notes..."></textarea>
                 </div>
                 <div class="edit-stats">
                     <label>Stats:</label>
-                    <div class="edit-stat-sliders">
-                        ${['physical', 'mental', 'social', 'creative', 'productive'].map(stat => `
-                            <div class="edit-slider-group">
-                                <span class="stat-label">${stat.charAt(0).toUpperCase() + stat.slice(1)}:</span>
-                                <input type="range" class="edit-stat-slider" data-stat="${stat}" 
-                                       min="0" max="5" value="${activity.stats[stat] || 0}">
-                                <span class="edit-stat-value">${activity.stats[stat] || 0}</span>
-                            </div>
-                        `).join('')}
-                    </div>
+                    <div class="edit-stat-sliders"></div>
                 </div>
                 <div class="edit-actions">
                     <button class="edit-save-btn">Save</button>
@@ -601,10 +2489,47 @@ class LifeGamifyApp {
             </div>
         `;
 
+        editForm.querySelector('.edit-name').value = activity.name;
+        editForm.querySelector('.edit-date').value = this.toDateTimeLocalValue(new Date(activity.date));
+        editForm.querySelector('.edit-date').max = this.toDateTimeLocalValue(new Date());
+        editForm.querySelector('.edit-notes').value = activity.notes || '';
+
+        const sliderList = editForm.querySelector('.edit-stat-sliders');
+        window.statRegistry.getKeys().forEach(stat => {
+            const group = document.createElement('div');
+            group.className = 'edit-slider-group';
+
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = `${window.statRegistry.getName(stat)}:`;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'edit-stat-slider';
+            slider.dataset.stat = stat;
+            slider.min = '0';
+            slider.max = '5';
+            slider.value = activity.stats[stat] || 0;
+
+            const value = document.createElement('span');
+            value.className = 'edit-stat-value';
+            value.textContent = activity.stats[stat] || 0;
+
+            group.append(label, slider, value);
+            sliderList.appendChild(group);
+        });
+
         // Replace activity content with edit form
         activityItem.style.display = 'none';
         container.appendChild(editForm);
 
+        // Time of day keeps its slot until the time is changed
+        const dateInput = editForm.querySelector('.edit-date');
+        const timeSlotSelect = editForm.querySelector('.edit-time-slot');
+        this.renderTimeSlotOptions(timeSlotSelect);
+        timeSlotSelect.value = window.timeSlots.getSlot(activity);
+        dateInput.addEventListener('input', () => this.syncTimeSlot(dateInput, timeSlotSelect));
+
         // Bind slider events
         const sliders = editForm.querySelectorAll('.edit-stat-slider');
         sliders.forEach(slider => {
@@ -619,12 +2544,17 @@ class LifeGamifyApp {
         editForm.querySelector('.edit-save-btn').addEventListener('click', () => {
             const newName = editForm.querySelector('.edit-name').value.trim();
             const newNotes = editForm.querySelector('.edit-notes').value.trim();
+            const newDate = new Date(editForm.querySelector('.edit-date').value);
             
             if (!newName) {
                 this.showErrorMessage('Activity name is required.');
                 return;
             }
 
+            if (!this.validateActivityDate(newDate)) {
+                return;
+            }
+
             const newStats = {};
             sliders.forEach(slider => {
                 const stat = slider.getAttribute('data-stat');
@@ -640,7 +2570,8 @@ class LifeGamifyApp {
             }
 
             // Update activity in storage
-            if (this.updateActivity(activityId, { name: newName, notes: newNotes, stats: newStats })) {
+            const newTimeSlot = timeSlotSelect.value;
+            if (this.updateActivity(activityId, { name: newName, notes: newNotes, stats: newStats, date: newDate, timeSlot: newTimeSlot })) {
                 this.showSuccessMessage('Activity updated successfully!');
                 this.loadInitialData(); // Refresh data and UI
             } else {
@@ -660,32 +2591,196 @@ class LifeGamifyApp {
 
     // Update activity in storage
     updateActivity(activityId, newData) {
-        const data = window.dataStorage.loadData();
-        const activityIndex = data.activities.findIndex(a => a.id === activityId);
-        
-        if (activityIndex === -1) return false;
+        return window.dataStorage.updateActivity(activityId, newData);
+    }
 
-        const oldActivity = data.activities[activityIndex];
-        
-        // Update activity
-        data.activities[activityIndex] = {
-            ...oldActivity,
-            name: newData.name,
-            notes: newData.notes,
-            stats: newData.stats
-        };
+    // Download all data as a dated JSON file
+    handleExport() {
+        const json = window.dataStorage.exportData();
+        const dateStamp = new Date().toISOString().slice(0, 10);
+        this.downloadFile(json, `life-gamify-${dateStamp}.json`, 'application/json');
+        this.showSuccessMessage('Data exported successfully!');
+    }
+
+    // Download all activities as a dated CSV file
+    handleCsvExport() {
+        const csv = window.dataStorage.exportActivitiesCsv();
+        const dateStamp = new Date().toISOString().slice(0, 10);
+        this.downloadFile(csv, `life-gamify-activities-${dateStamp}.csv`, 'text/csv');
+        this.showSuccessMessage('Activities exported as CSV!');
+    }
+
+    // Trigger a browser download for generated content
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Open the import dialog with a clean state
+    openImportDialog() {
+        this.pendingImport = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImportBtn').disabled = true;
+        document.querySelector('.import-mode').style.display = '';
+        document.getElementById('importModal').style.display = 'block';
+    }
+
+    // Read and validate the chosen file, then show what importing would change
+    handleImportFileSelected(file) {
+        const confirmButton = document.getElementById('confirmImportBtn');
+        this.pendingImport = null;
+        confirmButton.disabled = true;
+
+        if (!file) {
+            document.getElementById('importPreview').innerHTML = '';
+            return;
+        }
+
+        const isCsv = file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv';
+
+        // CSV rows are always added to the existing data
+        document.querySelector('.import-mode').style.display = isCsv ? 'none' : '';
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (isCsv) {
+                const result = window.dataStorage.parseActivitiesCsv(reader.result);
+                this.renderCsvImportPreview(result);
 
-        // Recalculate stats from scratch
-        data.stats = { physical: 0, mental: 0, social: 0, creative: 0, productive: 0 };
-        data.activities.forEach(activity => {
-            Object.keys(activity.stats).forEach(stat => {
-                if (activity.stats[stat] > 0) {
-                    data.stats[stat] += activity.stats[stat];
+                if (result.activities.length > 0) {
+                    this.pendingImport = { format: 'csv', text: reader.result };
+                    confirmButton.disabled = false;
                 }
+                return;
+            }
+
+            const result = window.dataStorage.validateImportFile(reader.result);
+            this.renderImportPreview(result);
+
+            if (result.valid) {
+                this.pendingImport = { format: 'json', text: reader.result };
+                confirmButton.disabled = false;
+            }
+        };
+        reader.onerror = () => {
+            this.renderImportPreview({ valid: false, errors: ['Could not read the file.'] });
+        };
+        reader.readAsText(file);
+    }
+
+    // Create one titled list in the import preview, showing at most `limit` lines
+    createImportSection(className, title, lines, limit = 10) {
+        const sectionDiv = document.createElement('div');
+        sectionDiv.className = className;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        sectionDiv.appendChild(heading);
+
+        if (lines.length > 0) {
+            const list = document.createElement('ul');
+            lines.slice(0, limit).forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
             });
-        });
+            if (lines.length > limit) {
+                const more = document.createElement('li');
+                more.textContent = `...and ${lines.length - limit} more`;
+                list.appendChild(more);
+            }
+            sectionDiv.appendChild(list);
+        }
+
+        return sectionDiv;
+    }
+
+    // Render validation errors or the new / duplicate / conflicting breakdown
+    renderImportPreview(result) {
+        const previewElement = document.getElementById('importPreview');
+        previewElement.innerHTML = '';
+
+        if (!result.valid) {
+            previewElement.appendChild(
+                this.createImportSection('import-errors', 'This file cannot be imported', result.errors, 20)
+            );
+            return;
+        }
+
+        const { preview } = result;
+        const describeConflict = c => c.local.name === c.imported.name
+            ? `${c.imported.name} (points, notes or date differ)`
+            : `${c.local.name} → ${c.imported.name}`;
+
+        previewElement.appendChild(this.createImportSection('import-section new',
+            `New activities: ${preview.new.length}`, preview.new.map(a => a.name)));
+        previewElement.appendChild(this.createImportSection('import-section duplicate',
+            `Already saved (skipped): ${preview.duplicate.length}`, preview.duplicate.map(a => a.name)));
+        previewElement.appendChild(this.createImportSection('import-section conflicting',
+            `Conflicting (same ID, different content): ${preview.conflicting.length}`, preview.conflicting.map(describeConflict)));
+    }
+
+    // Render the rows a CSV import would add, skip or reject
+    renderCsvImportPreview(result) {
+        const previewElement = document.getElementById('importPreview');
+        previewElement.innerHTML = '';
+
+        const describeError = error => (error.line ? `Line ${error.line}: ${error.message}` : error.message);
+
+        previewElement.appendChild(this.createImportSection('import-section new',
+            `Rows to import: ${result.activities.length}`, result.activities.map(a => a.name)));
+        previewElement.appendChild(this.createImportSection('import-section duplicate',
+            `Already saved (skipped): ${result.duplicates.length}`, result.duplicates.map(a => a.name)));
+        if (result.errors.length > 0) {
+            previewElement.appendChild(this.createImportSection('import-errors',
+                `Rows with errors (skipped): ${result.errors.length}`, result.errors.map(describeError), 20));
+        }
+    }
+
+    // Import the validated file in the chosen mode
+    confirmImport() {
+        if (!this.pendingImport) return;
+
+        if (this.pendingImport.format === 'csv') {
+            const result = window.dataStorage.importActivitiesCsv(this.pendingImport.text);
+            document.getElementById('importModal').style.display = 'none';
+            this.pendingImport = null;
+            this.loadInitialData();
+
+            const skipped = result.errors.length > 0 ? `, ${result.errors.length} rows with errors skipped` : '';
+            this.showMessage(`Imported ${result.imported} activities${skipped}.`, result.errors.length > 0 ? 'warning' : 'success');
+            return;
+        }
+
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace all of your current data with this file?')) {
+            return;
+        }
+
+        const result = window.dataStorage.importData(this.pendingImport.text, { mode: mode });
 
-        return window.dataStorage.saveData(data);
+        if (result.success) {
+            document.getElementById('importModal').style.display = 'none';
+            this.pendingImport = null;
+            // The file may bring its own stat list
+            this.rebuildStatControls();
+            this.loadInitialData();
+
+            const { added, duplicates, conflictsUpdated } = result.summary;
+            this.showSuccessMessage(mode === 'replace'
+                ? 'Data imported successfully!'
+                : `Merged: ${added} added, ${conflictsUpdated} updated, ${duplicates} skipped.`);
+        } else {
+            this.showErrorMessage(`Import failed: ${result.error}`);
+        }
     }
 
     // Delete activity with undo functionality
@@ -727,7 +2822,7 @@ class LifeGamifyApp {
     showDeclineNotification(declineResult) {
         const declinedStats = Object.entries(declineResult.statDeclines)
             .filter(([stat, data]) => data.declined > 0)
-            .map(([stat, data]) => `${stat.charAt(0).toUpperCase() + stat.slice(1)}: -${data.declined}`)
+            .map(([stat, data]) => `${window.statRegistry.getName(stat)}: -${data.declined}`)
             .join(', ');
 
         if (declinedStats) {
@@ -735,6 +2830,174 @@ class LifeGamifyApp {
         }
     }
 
+    // Celebrate titles reached since previousStats, and quietly note any lost.
+    // Points only drop through decline (logging an activity applies it too).
+    announceRankChanges(previousStats) {
+        const unlocks = [];
+        const losses = [];
+
+        window.statRegistry.getKeys().forEach(stat => {
+            const oldPoints = previousStats[stat] || 0;
+            const newPoints = this.currentStats[stat] || 0;
+            const unlock = window.titleSystem.checkTitleUnlock(stat, oldPoints, newPoints);
+            const loss = window.titleSystem.checkTitleLoss(stat, oldPoints, newPoints);
+
+            if (unlock.unlocked) {
+                unlocks.push(unlock);
+            } else if (loss.lost) {
+                losses.push(loss);
+            }
+        });
+
+        // The character level follows total points, so it can go down too
+        const oldLevel = window.levelSystem.getLevelInfo(window.levelSystem.getXp(previousStats)).level;
+        const newLevel = window.levelSystem.getLevelInfo(window.levelSystem.getXp(this.currentStats)).level;
+        const levelChange = oldLevel !== newLevel ? { from: oldLevel, to: newLevel } : null;
+
+        if (unlocks.length > 0 || (levelChange && levelChange.to > levelChange.from)) {
+            this.showRankUp(unlocks, levelChange && levelChange.to > levelChange.from ? levelChange : null);
+        }
+        if (losses.length > 0 || (levelChange && levelChange.to < levelChange.from)) {
+            this.showRankLosses(losses, levelChange && levelChange.to < levelChange.from ? levelChange : null);
+        }
+    }
+
+    // Full-screen "RANK UP" splash with the old and new titles (and level,
+    // when one was gained). Dismissed by a click, Escape, or on its own after
+    // a few seconds.
+    showRankUp(unlocks, levelChange = null) {
+        document.querySelectorAll('.rank-up-overlay').forEach(overlay => overlay.remove());
+
+        const overlay = document.createElement('div');
+        overlay.className = 'rank-up-overlay';
+        overlay.setAttribute('role', 'alert');
+
+        const banner = document.createElement('div');
+        banner.className = 'rank-up-banner';
+
+        const heading = document.createElement('div');
+        heading.className = 'rank-up-heading';
+        heading.textContent = unlocks.length > 0 ? 'RANK UP!' : 'LEVEL UP!';
+        banner.appendChild(heading);
+
+        if (levelChange) {
+            const row = document.createElement('div');
+            row.className = 'rank-up-row';
+
+            const label = document.createElement('span');
+            label.className = 'rank-up-stat';
+            label.textContent = 'Level';
+
+            const oldLevel = document.createElement('span');
+            oldLevel.className = 'rank-up-old';
+            oldLevel.textContent = levelChange.from;
+
+            const arrow = document.createElement('span');
+            arrow.className = 'rank-up-arrow';
+            arrow.textContent = '➜';
+
+            const newLevel = document.createElement('span');
+            newLevel.className = 'rank-up-new';
+            newLevel.style.setProperty('--tier-color', 'var(--accent-yellow)');
+            newLevel.textContent = levelChange.to;
+
+            row.append(label, oldLevel, arrow, newLevel);
+            banner.appendChild(row);
+        }
+
+        unlocks.forEach(unlock => {
+            const row = document.createElement('div');
+            row.className = 'rank-up-row';
+
+            const stat = document.createElement('span');
+            stat.className = 'rank-up-stat';
+            stat.textContent = window.statRegistry.getName(unlock.statName);
+
+            const oldTitle = document.createElement('span');
+            oldTitle.className = 'rank-up-old';
+            oldTitle.style.color = window.titleSystem.getTierColor(unlock.oldTier);
+            oldTitle.textContent = unlock.oldTitle;
+
+            const arrow = document.createElement('span');
+            arrow.className = 'rank-up-arrow';
+            arrow.textContent = '➜';
+
+            const newTitle = document.createElement('span');
+            newTitle.className = 'rank-up-new';
+            newTitle.style.setProperty('--tier-color', window.titleSystem.getTierColor(unlock.tier));
+            newTitle.textContent = unlock.newTitle;
+
+            const tier = document.createElement('span');
+            tier.className = 'rank-up-tier';
+            tier.textContent = `Tier ${unlock.tier}`;
+
+            row.append(stat, oldTitle, arrow, newTitle, tier);
+            banner.appendChild(row);
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'rank-up-hint';
+        hint.textContent = 'Click anywhere to continue';
+
+        overlay.append(banner, hint);
+        document.body.appendChild(overlay);
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                dismiss();
+            }
+        };
+        const dismiss = () => {
+            clearTimeout(timer);
+            document.removeEventListener('keydown', onKeydown);
+            overlay.classList.add('closing');
+            setTimeout(() => {
+                overlay.remove();
+            }, 300);
+        };
+        const timer = setTimeout(dismiss, 4500);
+
+        overlay.addEventListener('click', dismiss);
+        document.addEventListener('keydown', onKeydown);
+    }
+
+    // Quiet notice for titles (and a level) lost to decline
+    showRankLosses(losses, levelChange = null) {
+        document.querySelectorAll('.rank-down-notice').forEach(notice => notice.remove());
+
+        const notice = document.createElement('div');
+        notice.className = 'rank-down-notice';
+        notice.setAttribute('role', 'status');
+
+        const heading = document.createElement('div');
+        heading.className = 'rank-down-heading';
+        heading.textContent = losses.length > 0 ? 'Rank lost to inactivity' : 'Level lost to inactivity';
+        notice.appendChild(heading);
+
+        if (levelChange) {
+            const row = document.createElement('div');
+            row.textContent = `Level ${levelChange.from} → ${levelChange.to}`;
+            notice.appendChild(row);
+        }
+
+        losses.forEach(loss => {
+            const row = document.createElement('div');
+            row.textContent = `${window.statRegistry.getName(loss.statName)}: ${loss.oldTitle} → ${loss.newTitle}`;
+            notice.appendChild(row);
+        });
+
+        document.body.appendChild(notice);
+        setTimeout(() => {
+            notice.classList.add('show');
+        }, 10);
+        setTimeout(() => {
+            notice.classList.remove('show');
+            setTimeout(() => {
+                notice.remove();
+            }, 300);
+        }, 6000);
+    }
+
     // Show undo notification
     showUndoNotification(activityId, activityName, undoCallback, deleteCallback) {
         // Remove any existing undo notifications
@@ -745,13 +3008,14 @@ class LifeGamifyApp {
         notification.className = 'undo-notification';
         notification.innerHTML = `
             <div class="undo-content">
-                <span class="undo-text">"${activityName}" will be deleted</span>
+                <span class="undo-text"></span>
                 <button class="undo-btn">UNDO</button>
                 <div class="undo-timer">
                     <div class="undo-progress"></div>
                 </div>
             </div>
         `;
+        notification.querySelector('.undo-text').textContent = `"${activityName}" will be deleted`;
 
         document.body.appendChild(notification);
 
@@ -792,7 +3056,9 @@ class LifeGamifyApp {
 }
 
 // Initialize app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Saved data loads asynchronously from IndexedDB
+    await window.dataStorage.ready;
     window.lifeGamifyApp = new LifeGamifyApp();
     console.log('Life Gamify App ready!');
 });
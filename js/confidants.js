@@ -0,0 +1,97 @@
+// Confidants
+// People the user spends time with, in the spirit of Persona's social links.
+// Social activities can be tagged with confidants; each confidant's rank
+// (1-10) grows with the Social points from its tagged activities, so time
+// spent together is measured the same way as everywhere else in the app.
+// Ranks share the title tier colors: two ranks per tier, rank 10 is the top.
+class ConfidantTracker {
+    constructor() {
+        this.socialStat = 'social';
+        this.maxRank = 10;
+        // Social points needed to reach ranks 1-10
+        this.rankThresholds = [0, 5, 12, 22, 35, 50, 70, 95, 125, 160];
+        this.relationships = {
+            friend: 'Friend',
+            family: 'Family',
+            mentor: 'Mentor',
+            partner: 'Partner',
+            colleague: 'Colleague',
+            other: 'Other'
+        };
+    }
+
+    // Confidants can only be tagged while the Social stat is tracked
+    isAvailable() {
+        return window.statRegistry.has(this.socialStat) && !window.statRegistry.isArchived(this.socialStat);
+    }
+
+    // Display name for a relationship (falls back to "Other")
+    getRelationshipName(relationship) {
+        return this.relationships[relationship] || this.relationships.other;
+    }
+
+    // Activities tagged with a confidant, newest first
+    getInteractions(confidantId, activities = window.dataStorage.getAllActivities()) {
+        return activities.filter(activity => (activity.confidantIds || []).includes(confidantId));
+    }
+
+    // Rank reached with an amount of Social points and how far it is to the next one
+    getRankInfo(points) {
+        const rank = this.rankThresholds.filter(threshold => points >= threshold).length;
+        const isMaxRank = rank >= this.maxRank;
+        const rankPoints = this.rankThresholds[rank - 1];
+        const nextRankPoints = isMaxRank ? null : this.rankThresholds[rank];
+        const tier = isMaxRank ? 5 : Math.floor((rank - 1) / 2);
+
+        return {
+            rank: rank,
+            points: points,
+            nextRankPoints: nextRankPoints,
+            pointsToNext: isMaxRank ? 0 : nextRankPoints - points,
+            progress: isMaxRank ? 100 : ((points - rankPoints) / (nextRankPoints - rankPoints)) * 100,
+            isMaxRank: isMaxRank,
+            tier: tier,
+            color: window.titleSystem.getTierColor(tier)
+        };
+    }
+
+    // "Last seen today", "Last seen 3 days ago", ... counted in calendar days
+    describeLastSeen(date, now = new Date()) {
+        if (!date) {
+            return 'Not seen yet';
+        }
+
+        const calendar = window.habitTracker;
+        // Rounded so a DST change doesn't shift the count
+        const days = Math.round((calendar.startOfDay(now) - calendar.startOfDay(date)) / (1000 * 60 * 60 * 24));
+        if (days <= 0) {
+            return 'Last seen today';
+        }
+        return days === 1 ? 'Last seen yesterday' : `Last seen ${days} days ago`;
+    }
+
+    // Everything a profile card shows for one confidant
+    getProfile(confidant, now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        const interactions = this.getInteractions(confidant.id, activities);
+        const points = interactions.reduce((sum, activity) => sum + (activity.stats[this.socialStat] || 0), 0);
+        const lastSeen = interactions.length > 0 ? interactions[0].date : null;
+
+        return {
+            ...confidant,
+            interactions: interactions,
+            rankInfo: this.getRankInfo(points),
+            lastSeen: lastSeen,
+            lastSeenText: this.describeLastSeen(lastSeen, now)
+        };
+    }
+
+    // Profiles for the active confidants, highest rank first
+    getProfiles(now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        return window.dataStorage.getConfidants()
+            .map(confidant => this.getProfile(confidant, now, activities))
+            .sort((a, b) => (b.rankInfo.points - a.rankInfo.points) || a.name.localeCompare(b.name));
+    }
+}
+
+// Create global instance
+window.confidantTracker = new ConfidantTracker();
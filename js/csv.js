@@ -0,0 +1,91 @@
+// CSV Reading and Writing (RFC 4180 style)
+class CsvConverter {
+    constructor() {
+        this.delimiter = ',';
+        this.lineBreak = '\r\n';
+    }
+
+    // Turn an array of rows (arrays of values) into CSV text
+    stringify(rows) {
+        return rows.map(row => row.map(value => this.escapeField(value)).join(this.delimiter)).join(this.lineBreak);
+    }
+
+    // Quote a field when it contains a delimiter, quote or line break
+    escapeField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    // Parse CSV text into rows. Quoted fields may contain commas, escaped
+    // quotes ("") and line breaks. Each row remembers the line it started on
+    // so errors can point at the right place.
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        // Ignore a UTF-8 byte order mark written by spreadsheet apps
+        const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        const endRow = () => {
+            row.push(field);
+            // Skip blank lines
+            if (row.length > 1 || row[0].trim() !== '') {
+                rows.push({ line: rowLine, values: row });
+            }
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === this.delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unclosed quote in row starting on line ${rowLine}.`);
+        }
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+}
+
+// Create global instance
+window.csvConverter = new CsvConverter();
@@ -0,0 +1,189 @@
+// Recurring Habits
+// A habit is an activity expected on a schedule. Ticking it off logs an
+// ordinary activity tagged with the habit's id, so completions and misses
+// always follow the activity history (including edits, re-dating and deletes).
+// Days are local calendar days; weeks start on Monday.
+class HabitTracker {
+    constructor() {
+        this.weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    }
+
+    // Local midnight at the start of a date's day
+    startOfDay(date) {
+        const day = new Date(date);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    }
+
+    // Move a day forward or back by whole calendar days (DST safe)
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    // Monday of the week a date falls in
+    startOfWeek(date) {
+        const day = this.startOfDay(date);
+        return this.addDays(day, -((day.getDay() + 6) % 7));
+    }
+
+    // Local calendar day as YYYY-MM-DD
+    dayKey(date) {
+        const day = new Date(date);
+        const month = String(day.getMonth() + 1).padStart(2, '0');
+        const dayOfMonth = String(day.getDate()).padStart(2, '0');
+        return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+    }
+
+    // Human readable schedule, e.g. "Daily", "Mon, Wed, Fri", "3× per week"
+    describeSchedule(schedule) {
+        switch (schedule.type) {
+            case 'daily':
+                return 'Daily';
+            case 'weekdays':
+                // List Monday first to match the week
+                return [1, 2, 3, 4, 5, 6, 0]
+                    .filter(day => schedule.days.includes(day))
+                    .map(day => this.weekdayNames[day])
+                    .join(', ');
+            case 'weekly':
+                return `${schedule.timesPerWeek}× per week`;
+            default:
+                return 'Unknown schedule';
+        }
+    }
+
+    // Whether a habit is being tracked on a given day (from the day it was
+    // created until the day it was archived)
+    isActiveOn(habit, day) {
+        if (day < this.startOfDay(habit.createdDate)) {
+            return false;
+        }
+        return !habit.archivedDate || day < this.startOfDay(habit.archivedDate);
+    }
+
+    // Whether a habit is due on a specific day. Weekly habits can be done on any day.
+    isScheduledOn(habit, day) {
+        if (!this.isActiveOn(habit, day)) {
+            return false;
+        }
+        if (habit.schedule.type === 'weekdays') {
+            return habit.schedule.days.includes(day.getDay());
+        }
+        return true;
+    }
+
+    // Activities logged for a habit, grouped by local day
+    getCompletionsByDay(habit, activities = window.dataStorage.getAllActivities()) {
+        const completions = new Map();
+        activities
+            .filter(activity => activity.habitId === habit.id)
+            .forEach(activity => {
+                const key = this.dayKey(activity.date);
+                if (!completions.has(key)) {
+                    completions.set(key, []);
+                }
+                completions.get(key).push(activity);
+            });
+        return completions;
+    }
+
+    // Completions and target for the week containing a day (weekly habits)
+    getWeekProgress(habit, day, completions = this.getCompletionsByDay(habit)) {
+        const weekStart = this.startOfWeek(day);
+        let done = 0;
+        let activeDays = 0;
+
+        for (let i = 0; i < 7; i++) {
+            const weekDay = this.addDays(weekStart, i);
+            done += (completions.get(this.dayKey(weekDay)) || []).length;
+            if (this.isActiveOn(habit, weekDay)) {
+                activeDays++;
+            }
+        }
+
+        // A habit created mid-week can't be expected more often than it had days
+        return { done: done, target: Math.min(habit.schedule.timesPerWeek, activeDays) };
+    }
+
+    // Every missed occurrence before today, newest first. Daily and weekday
+    // habits miss a day when nothing was logged on it; weekly habits are
+    // settled once the week is over and miss however many times fell short.
+    getMissedOccurrences(habit, now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        const completions = this.getCompletionsByDay(habit, activities);
+        const today = this.startOfDay(now);
+        const misses = [];
+
+        if (habit.schedule.type === 'weekly') {
+            const firstWeek = this.startOfWeek(habit.createdDate);
+            for (let weekStart = firstWeek; this.addDays(weekStart, 7) <= today; weekStart = this.addDays(weekStart, 7)) {
+                const progress = this.getWeekProgress(habit, weekStart, completions);
+                if (progress.done < progress.target) {
+                    misses.push({
+                        date: this.dayKey(weekStart),
+                        period: 'week',
+                        missed: progress.target - progress.done
+                    });
+                }
+            }
+        } else {
+            for (let day = this.startOfDay(habit.createdDate); day < today; day = this.addDays(day, 1)) {
+                if (this.isScheduledOn(habit, day) && !completions.has(this.dayKey(day))) {
+                    misses.push({ date: this.dayKey(day), period: 'day', missed: 1 });
+                }
+            }
+        }
+
+        return misses.reverse();
+    }
+
+    // Habits to show on today's checklist, with whether each is done
+    getTodayChecklist(now = new Date()) {
+        const today = this.startOfDay(now);
+        const activities = window.dataStorage.getAllActivities();
+
+        return window.dataStorage.getHabits()
+            .filter(habit => this.isScheduledOn(habit, today))
+            .map(habit => {
+                const completions = this.getCompletionsByDay(habit, activities);
+                const todaysCompletions = completions.get(this.dayKey(today)) || [];
+                const item = {
+                    habit: habit,
+                    completed: todaysCompletions.length > 0,
+                    activity: todaysCompletions[0] || null
+                };
+
+                if (habit.schedule.type === 'weekly') {
+                    item.weekProgress = this.getWeekProgress(habit, today, completions);
+                }
+                return item;
+            })
+            // Weekly habits already met this week drop off unless done today
+            .filter(item => !item.weekProgress || item.completed || item.weekProgress.done < item.weekProgress.target);
+    }
+
+    // Tick a habit off for today by logging its activity
+    completeHabit(habitId) {
+        const habit = window.dataStorage.getHabits().find(h => h.id === habitId);
+        if (!habit) {
+            return null;
+        }
+
+        return window.dataStorage.addActivity({
+            name: habit.name,
+            stats: habit.stats,
+            notes: habit.notes,
+            habitId: habit.id
+        });
+    }
+
+    // Untick a habit by removing the activity logged for it today
+    uncompleteHabit(habitId, now = new Date()) {
+        const todayKey = this.dayKey(now);
+        const activity = window.dataStorage.getAllActivities()
+            .find(act => act.habitId === habitId && this.dayKey(act.date) === todayKey);
+
+        return activity ? window.dataStorage.deleteActivity(activity.id) : false;
+    }
+}
+
+// Create global instance
+window.habitTracker = new HabitTracker();
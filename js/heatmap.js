@@ -0,0 +1,151 @@
+// Calendar Heatmap
+// A year of local calendar days laid out as weekly columns (Monday on top),
+// each day shaded by the points earned that day. Colors follow the star's
+// stat colors so a filtered heatmap matches its axis on the star.
+class CalendarHeatmap {
+    constructor(svgId) {
+        this.svg = document.getElementById(svgId);
+        this.cellSize = 12;
+        this.cellGap = 3;
+        this.weeks = 53;
+        this.leftMargin = 30; // Room for weekday labels
+        this.topMargin = 18; // Room for month labels
+        this.allStatsColor = '#ff0040'; // Matches --primary-red
+        this.emptyColor = 'rgba(255, 255, 255, 0.06)';
+
+        // Shade opacity for intensity levels 1-4 (0 uses emptyColor)
+        this.levelOpacity = [0, 0.3, 0.5, 0.75, 1];
+
+        // Called with a day key (YYYY-MM-DD) when a day is clicked
+        this.onDayClick = null;
+
+        // Latest render, so a slower earlier one doesn't draw over it
+        this.renderCount = 0;
+    }
+
+    // Points earned per local day between two dates, optionally for one stat
+    async getDailyPoints(start, end, stat = null) {
+        const calendar = window.habitTracker;
+        const range = await window.dataStorage.getStatsForDateRange(start, end);
+        const totals = new Map();
+
+        range.activities.forEach(activity => {
+            const points = stat
+                ? (activity.stats[stat] || 0)
+                : Object.values(activity.stats).reduce((sum, value) => sum + Math.max(value, 0), 0);
+            if (points > 0) {
+                const key = calendar.dayKey(activity.date);
+                totals.set(key, (totals.get(key) || 0) + points);
+            }
+        });
+
+        return totals;
+    }
+
+    // Bucket a day's points into levels 0-4 relative to the busiest day shown
+    getLevel(points, maxPoints) {
+        if (points <= 0) {
+            return 0;
+        }
+        return Math.min(4, Math.ceil((points / maxPoints) * 4));
+    }
+
+    // Draw the 53 weeks ending with the week containing endDate.
+    // Resolves with a summary of the period shown, or null when a newer
+    // render started while this one was loading.
+    async render({ endDate = new Date(), stat = null, selectedDay = null } = {}) {
+        const calendar = window.habitTracker;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const today = calendar.startOfDay(new Date());
+        const start = calendar.addDays(calendar.startOfWeek(endDate), -7 * (this.weeks - 1));
+        const end = calendar.addDays(start, 7 * this.weeks);
+
+        const request = ++this.renderCount;
+        const totals = await this.getDailyPoints(start, new Date(end.getTime() - 1), stat);
+        if (request !== this.renderCount) {
+            return null;
+        }
+        const maxPoints = Math.max(...totals.values(), 1);
+        const color = stat ? window.starVisualization.statColors[stat] : this.allStatsColor;
+        const step = this.cellSize + this.cellGap;
+
+        const width = this.leftMargin + this.weeks * step;
+        const height = this.topMargin + 7 * step;
+        this.svg.innerHTML = '';
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.svg.setAttribute('width', width);
+        this.svg.setAttribute('height', height);
+
+        // Weekday labels on alternate rows
+        ['Mon', 'Wed', 'Fri'].forEach((label, i) => {
+            const text = document.createElementNS(svgNS, 'text');
+            text.setAttribute('x', 0);
+            text.setAttribute('y', this.topMargin + (i * 2) * step + this.cellSize - 2);
+            text.setAttribute('class', 'heatmap-label');
+            text.textContent = label;
+            this.svg.appendChild(text);
+        });
+
+        let lastMonth = null;
+        for (let week = 0; week < this.weeks; week++) {
+            const weekStart = calendar.addDays(start, week * 7);
+
+            // Month label above the first week that starts in a new month
+            if (weekStart.getMonth() !== lastMonth) {
+                lastMonth = weekStart.getMonth();
+                if (week < this.weeks - 2) {
+                    const text = document.createElementNS(svgNS, 'text');
+                    text.setAttribute('x', this.leftMargin + week * step);
+                    text.setAttribute('y', this.topMargin - 6);
+                    text.setAttribute('class', 'heatmap-label');
+                    text.textContent = weekStart.toLocaleDateString(undefined, { month: 'short' });
+                    this.svg.appendChild(text);
+                }
+            }
+
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const day = calendar.addDays(weekStart, weekday);
+                if (day > today) {
+                    continue;
+                }
+
+                const key = calendar.dayKey(day);
+                const points = totals.get(key) || 0;
+                const level = this.getLevel(points, maxPoints);
+
+                const cell = document.createElementNS(svgNS, 'rect');
+                cell.setAttribute('x', this.leftMargin + week * step);
+                cell.setAttribute('y', this.topMargin + weekday * step);
+                cell.setAttribute('width', this.cellSize);
+                cell.setAttribute('height', this.cellSize);
+                cell.setAttribute('rx', 2);
+                cell.setAttribute('fill', level === 0 ? this.emptyColor : color);
+                cell.setAttribute('fill-opacity', level === 0 ? 1 : this.levelOpacity[level]);
+                cell.setAttribute('class', `heatmap-day${key === selectedDay ? ' selected' : ''}`);
+                cell.setAttribute('data-date', key);
+
+                const title = document.createElementNS(svgNS, 'title');
+                title.textContent = `${points} point${points === 1 ? '' : 's'} on ${day.toLocaleDateString()}`;
+                cell.appendChild(title);
+
+                cell.addEventListener('click', () => {
+                    if (this.onDayClick) {
+                        this.onDayClick(key);
+                    }
+                });
+
+                this.svg.appendChild(cell);
+            }
+        }
+
+        return {
+            start: start,
+            end: calendar.addDays(end, -1),
+            totalPoints: Array.from(totals.values()).reduce((sum, value) => sum + value, 0),
+            activeDays: totals.size
+        };
+    }
+}
+
+// Create global instance
+window.calendarHeatmap = new CalendarHeatmap('heatmapSvg');
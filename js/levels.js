@@ -0,0 +1,113 @@
+// Character Level
+// One overall level from the total points across all stats (1 point = 1 XP).
+// The XP curve sets the total XP each level starts at: a fixed step per level
+// (linear), a step that grows every level (quadratic), or a custom table.
+// Levels follow points both ways, so decline can take a level away.
+class LevelSystem {
+    constructor() {
+        this.curveTypes = ['linear', 'quadratic', 'custom'];
+
+        this.defaultCurve = {
+            type: 'quadratic',
+            base: 10, // Linear: XP per level. Quadratic: level n starts at base × (n - 1)²
+            table: [0, 10, 30, 60, 100, 150, 210, 280, 360, 450, 550] // Custom: total XP for levels 1, 2, 3, ...
+        };
+
+        // Curve in use, replaced by the one saved in settings
+        this.curve = this.copyCurve(this.defaultCurve);
+    }
+
+    copyCurve(curve) {
+        return { ...curve, table: [...curve.table] };
+    }
+
+    setCurve(curve) {
+        this.curve = this.copyCurve(curve);
+    }
+
+    // XP for a set of stat totals
+    getXp(stats) {
+        return Object.values(stats).reduce((sum, value) => sum + Math.max(value, 0), 0);
+    }
+
+    // Total XP a level starts at (level 1 starts at 0), or null for levels
+    // past the end of a custom table
+    getLevelThreshold(level, curve = this.curve) {
+        if (level <= 1) {
+            return 0;
+        }
+
+        switch (curve.type) {
+            case 'linear':
+                return curve.base * (level - 1);
+            case 'quadratic':
+                return curve.base * (level - 1) ** 2;
+            case 'custom':
+                return level <= curve.table.length ? curve.table[level - 1] : null;
+            default:
+                return null;
+        }
+    }
+
+    // Level reached with an amount of XP and how far it is to the next one
+    getLevelInfo(xp, curve = this.curve) {
+        let level = 1;
+        let nextLevelXp = this.getLevelThreshold(2, curve);
+
+        while (nextLevelXp !== null && xp >= nextLevelXp) {
+            level++;
+            nextLevelXp = this.getLevelThreshold(level + 1, curve);
+        }
+
+        const levelXp = this.getLevelThreshold(level, curve);
+        return {
+            level: level,
+            xp: xp,
+            levelXp: levelXp,
+            nextLevelXp: nextLevelXp,
+            xpToNext: nextLevelXp === null ? 0 : nextLevelXp - xp,
+            progress: nextLevelXp === null ? 100 : ((xp - levelXp) / (nextLevelXp - levelXp)) * 100,
+            isMaxLevel: nextLevelXp === null
+        };
+    }
+
+    // List what is wrong with a curve before it is saved
+    validateCurve(curve) {
+        if (!curve || !this.curveTypes.includes(curve.type)) {
+            return ['Choose a linear, quadratic or custom XP curve.'];
+        }
+
+        if (curve.type === 'custom') {
+            const table = curve.table;
+            if (!Array.isArray(table) || table.length < 2) {
+                return ['A custom XP table needs at least two levels.'];
+            }
+            if (!table.every(xp => Number.isInteger(xp) && xp >= 0)) {
+                return ['Every level in the XP table needs a whole number of XP.'];
+            }
+            if (table[0] !== 0) {
+                return ['Level 1 must start at 0 XP.'];
+            }
+            const outOfOrder = table.findIndex((xp, i) => i > 0 && xp <= table[i - 1]);
+            if (outOfOrder !== -1) {
+                return [`Level ${outOfOrder + 1} must need more XP than level ${outOfOrder}.`];
+            }
+        } else if (!Number.isInteger(curve.base) || curve.base < 1) {
+            return ['The XP step must be a whole number of at least 1.'];
+        }
+
+        return [];
+    }
+
+    // A few sample levels for previewing a curve, e.g. "Level 2: 10 XP · Level 5: 160 XP"
+    describeCurve(curve = this.curve) {
+        return [2, 5, 10, 20]
+            .map(level => ({ level: level, xp: this.getLevelThreshold(level, curve) }))
+            .filter(sample => sample.xp !== null)
+            .map(sample => `Level ${sample.level}: ${sample.xp} XP`)
+            .join(' · ');
+    }
+}
+
+// Create global instance
+window.levelSystem = new LevelSystem();
@@ -0,0 +1,157 @@
+// Data Schema Migrations
+// Saved data and export files carry a schemaVersion. Older data is upgraded
+// one version at a time by the migrations below, oldest first.
+
+// Thrown when data was written by a newer version of the app
+class SchemaVersionError extends Error {
+    constructor(version, supportedVersion) {
+        super(`This data was saved by a newer version of Life Gamify (schema v${version}). ` +
+            `This app only understands up to schema v${supportedVersion}; please update the app.`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+class DataMigrator {
+    constructor() {
+        // Each migration upgrades data from (version - 1) to version
+        this.migrations = [
+            {
+                version: 2,
+                description: 'Decline ledger with per-stat watermarks',
+                migrate: (data) => this.addDeclineWatermarks(data)
+            },
+            {
+                version: 3,
+                description: 'Append-only event log',
+                migrate: (data, storage) => this.buildEventLog(data, storage)
+            },
+            {
+                version: 4,
+                description: 'String activity IDs',
+                migrate: (data) => this.stringifyActivityIds(data)
+            }
+        ];
+
+        this.currentVersion = this.migrations[this.migrations.length - 1].version;
+    }
+
+    // Work out which schema a save or export file uses.
+    // Data from before schemaVersion existed is recognised by its shape.
+    detectVersion(data) {
+        if (Number.isInteger(data.schemaVersion)) {
+            return data.schemaVersion;
+        }
+        // Files without a schemaVersion predate string IDs
+        if (Array.isArray(data.events)) {
+            return 3;
+        }
+        if (Array.isArray(data.declineLedger)) {
+            return 2;
+        }
+        return 1;
+    }
+
+    // Check whether data needs upgrading
+    needsMigration(data) {
+        return this.detectVersion(data) < this.currentVersion;
+    }
+
+    // Upgrade data step by step to the current schema version
+    migrate(data, storage) {
+        const version = this.detectVersion(data);
+
+        if (version > this.currentVersion) {
+            throw new SchemaVersionError(version, this.currentVersion);
+        }
+
+        let migrated = { ...data };
+        this.migrations
+            .filter(migration => migration.version > version)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated, storage);
+                migrated.schemaVersion = migration.version;
+            });
+
+        migrated.schemaVersion = this.currentVersion;
+        return migrated;
+    }
+
+    // v2: saves from before the decline ledger were already charged up to now
+    addDeclineWatermarks(data, now = new Date()) {
+        const lastActivity = data.lastActivity || {};
+        const declinedThrough = { ...data.declinedThrough };
+
+        Object.keys(data.stats || {}).forEach(stat => {
+            if (lastActivity[stat]) {
+                declinedThrough[stat] = now.toISOString();
+            }
+        });
+
+        return { ...data, declineLedger: [], declinedThrough: declinedThrough };
+    }
+
+    // v3: build an event log for saves that only stored stats and activities.
+    // Past decline and points from trimmed activities are carried over as
+    // manual adjustments so the replayed totals match the saved ones.
+    buildEventLog(data, storage) {
+        const savedStats = { ...data.stats };
+        const activities = data.activities || [];
+        const ledger = data.declineLedger || [];
+
+        const history = [
+            ...activities.map(activity => ({ type: 'activity_added', date: activity.date, activity: activity })),
+            ...ledger.map(entry => ({
+                type: 'decline_applied',
+                date: entry.date,
+                stat: entry.stat,
+                points: entry.points,
+                days: entry.days,
+                fromDate: entry.fromDate,
+                throughDate: entry.throughDate
+            }))
+        ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        const events = history.map((event, index) => ({ seq: index + 1, ...event }));
+
+        const { stats } = storage.replayEvents(events);
+        Object.keys(savedStats).forEach(stat => {
+            const difference = savedStats[stat] - (stats[stat] || 0);
+            if (difference !== 0) {
+                events.push({
+                    seq: events.length + 1,
+                    type: 'manual_adjustment',
+                    date: new Date().toISOString(),
+                    stat: stat,
+                    points: difference,
+                    reason: 'Balance carried over from before the event log'
+                });
+            }
+        });
+
+        const { declineLedger, ...rest } = data;
+        return storage.rebuildFromEvents({ ...rest, events: events });
+    }
+
+    // v4: activity IDs used to be Date.now() numbers; keep the same values as strings
+    stringifyActivityIds(data) {
+        const toId = (id) => (id === undefined || id === null ? id : String(id));
+
+        const activities = (data.activities || []).map(activity => ({ ...activity, id: toId(activity.id) }));
+        const events = (data.events || []).map(event => {
+            if (event.activity) {
+                return { ...event, activity: { ...event.activity, id: toId(event.activity.id) } };
+            }
+            if ('activityId' in event) {
+                return { ...event, activityId: toId(event.activityId) };
+            }
+            return event;
+        });
+
+        return { ...data, activities: activities, events: events };
+    }
+}
+
+// Create global instance
+window.dataMigrator = new DataMigrator();
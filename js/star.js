@@ -8,21 +8,47 @@ class StarVisualization {
         this.maxRadius = 150; // Maximum star point length
         this.innerRadius = 60; // Inner star radius (between points)
         
-        // Stat colors matching CSS variables
-        this.statColors = {
-            physical: '#ff4444',
-            mental: '#4488ff',
-            social: '#44ff44',
-            creative: '#ff44ff',
-            productive: '#ffaa44'
-        };
+        this.labelRadius = 185; // Distance of the stat labels from the center
+        this.progressArcRadius = 162; // Rank progress arcs, just past the axis ends
+
+        // Bevel layers, outermost first (Option 3: Subtle Gradient-like Bevel)
+        this.bevelLayers = [
+            { color: '#FFA500', stroke: '#FF8C00', scale: 1.0, opacity: 1 },      // Outer: Warm Gold
+            { color: '#FFD700', stroke: '#FFA500', scale: 0.9, opacity: 1 },     // Middle: Bright Gold  
+            { color: '#FFFFE0', stroke: '#FFD700', scale: 0.8, opacity: 1 }      // Inner: Light Yellow
+        ];
 
-        // Stat order (clockwise from top)
-        this.statOrder = ['physical', 'mental', 'social', 'creative', 'productive'];
+        // Stats currently drawn, and past stats shown as a ghost overlay
+        this.currentStats = null;
+        this.ghostStats = null;
         
         this.initializeSVG();
     }
 
+    // Stat colors, from the stat definitions
+    get statColors() {
+        return window.statRegistry.getColors();
+    }
+
+    // Stat order (clockwise from top), one axis per stat
+    get statOrder() {
+        return window.statRegistry.getKeys();
+    }
+
+    // Angle of an axis in radians, starting from the top and going clockwise
+    getAxisAngle(index) {
+        return ((index * 360) / this.statOrder.length - 90) * Math.PI / 180;
+    }
+
+    // Where a stat's label sits around the star, as percentages of the SVG box
+    getLabelPosition(index) {
+        const angle = this.getAxisAngle(index);
+        return {
+            left: ((this.centerX + Math.cos(angle) * this.labelRadius) / (this.centerX * 2)) * 100,
+            top: ((this.centerY + Math.sin(angle) * this.labelRadius) / (this.centerY * 2)) * 100
+        };
+    }
+
     // Initialize SVG with base elements
     initializeSVG() {
         // Clear existing content
@@ -71,6 +97,60 @@ class StarVisualization {
         this.createGridLines();
     }
 
+    // Draw a short arc past each axis end showing how far the stat is toward
+    // its next title. progressByStat maps stats to getProgressToNextTier() results.
+    drawProgressArcs(progressByStat) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        this.svg.querySelectorAll('.progress-arcs').forEach(group => group.remove());
+
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', 'progress-arcs');
+
+        // Keep neighbouring arcs apart however many axes there are
+        const span = Math.min(30, 180 / this.statOrder.length) * Math.PI / 180;
+
+        this.statOrder.forEach((stat, i) => {
+            const progress = progressByStat[stat];
+            if (!progress) return;
+
+            const start = this.getAxisAngle(i) - span / 2;
+            const arc = document.createElementNS(svgNS, 'g');
+            arc.setAttribute('class', `progress-arc${progress.isMaxTier ? ' max-tier' : ''}`);
+            arc.setAttribute('data-stat', stat);
+
+            const track = document.createElementNS(svgNS, 'path');
+            track.setAttribute('class', 'progress-arc-track');
+            track.setAttribute('d', this.createArcPath(start, start + span, this.progressArcRadius));
+            arc.appendChild(track);
+
+            if (progress.progress > 0) {
+                const fill = document.createElementNS(svgNS, 'path');
+                fill.setAttribute('class', 'progress-arc-fill');
+                fill.setAttribute('d', this.createArcPath(start, start + span * progress.progress / 100, this.progressArcRadius));
+                fill.setAttribute('stroke', this.statColors[stat]);
+                arc.appendChild(fill);
+            }
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `${window.statRegistry.getName(stat)}: ${window.titleSystem.describeProgress(progress)}`;
+            arc.appendChild(title);
+
+            group.appendChild(arc);
+        });
+
+        this.svg.appendChild(group);
+    }
+
+    // SVG path for a clockwise arc around the center between two angles (radians)
+    createArcPath(startAngle, endAngle, radius) {
+        const x1 = this.centerX + Math.cos(startAngle) * radius;
+        const y1 = this.centerY + Math.sin(startAngle) * radius;
+        const x2 = this.centerX + Math.cos(endAngle) * radius;
+        const y2 = this.centerY + Math.sin(endAngle) * radius;
+        const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+        return `M ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2}`;
+    }
+
     // Create reference grid lines
     createGridLines() {
         const gridGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -91,8 +171,8 @@ class StarVisualization {
         }
 
         // Create lines to each star point
-        for (let i = 0; i < 5; i++) {
-            const angle = (i * 72 - 90) * Math.PI / 180; // Start from top, go clockwise
+        for (let i = 0; i < this.statOrder.length; i++) {
+            const angle = this.getAxisAngle(i);
             const x = this.centerX + Math.cos(angle) * this.maxRadius;
             const y = this.centerY + Math.sin(angle) * this.maxRadius;
 
@@ -109,18 +189,17 @@ class StarVisualization {
         this.svg.appendChild(gridGroup);
     }
 
-    // Calculate star points based on stats
-    calculateStarPoints(stats) {
+    // Calculate star points based on stats. Pass scaleMax to draw several
+    // stars on the same scale.
+    calculateStarPoints(stats, scaleMax = null) {
         const points = [];
         
         // Find the maximum stat value for better scaling
-        const maxStatValue = Math.max(...Object.values(stats), 1);
-        const scalingFactor = Math.min(maxStatValue / 50, 1); // Dynamic scaling based on actual data
-        
-        console.log('Star calculation - Stats:', stats, 'Max value:', maxStatValue, 'Scaling factor:', scalingFactor);
+        const maxStatValue = scaleMax || this.getMaxStatValue(stats);
         
-        for (let i = 0; i < 5; i++) {
-            const stat = this.statOrder[i];
+        const statOrder = this.statOrder;
+        for (let i = 0; i < statOrder.length; i++) {
+            const stat = statOrder[i];
             const statValue = stats[stat] || 0;
             
             // Calculate radius based on stat value with improved scaling
@@ -141,7 +220,7 @@ class StarVisualization {
             const radius = this.minRadius + (this.maxRadius - this.minRadius) * normalizedValue;
             
             // Calculate angle for star tip (start from top, go clockwise)
-            const angle = (i * 72 - 90) * Math.PI / 180;
+            const angle = this.getAxisAngle(i);
             
             // Calculate star tip position (this should extend based on stat value)
             const tipX = this.centerX + Math.cos(angle) * radius;
@@ -157,7 +236,6 @@ class StarVisualization {
             });
         }
         
-        console.log('Star points calculated:', points.map(p => ({ stat: p.stat, value: p.value, radius: p.radius })));
         return points;
     }
 
@@ -165,7 +243,7 @@ class StarVisualization {
     createStarPath(points) {
         if (points.length === 0) return '';
         
-        // Create a proper 5-pointed star by alternating between tips and inner points
+        // Create an N-pointed star by alternating between tips and inner points
         let path = '';
         
         for (let i = 0; i < points.length; i++) {
@@ -203,25 +281,12 @@ class StarVisualization {
     // Create layered bevel star effect (Option 3: Subtle Gradient-like Bevel)
     createBevelStarLayers(points) {
         const layers = [];
-        
-        // Define the 3 layers with their colors and scale factors
-        const layerConfig = [
-            { color: '#FFA500', stroke: '#FF8C00', scale: 1.0, opacity: 1 },      // Outer: Warm Gold
-            { color: '#FFD700', stroke: '#FFA500', scale: 0.9, opacity: 1 },     // Middle: Bright Gold  
-            { color: '#FFFFE0', stroke: '#FFD700', scale: 0.8, opacity: 1 }      // Inner: Light Yellow
-        ];
+        const layerConfig = this.bevelLayers;
         
         // Create each layer
         layerConfig.forEach((config, index) => {
             // Scale the points for this layer
-            const scaledPoints = points.map(point => ({
-                ...point,
-                radius: point.radius * config.scale,
-                tip: {
-                    x: this.centerX + (point.tip.x - this.centerX) * config.scale,
-                    y: this.centerY + (point.tip.y - this.centerY) * config.scale
-                }
-            }));
+            const scaledPoints = this.scalePoints(points, config.scale);
             
             // Create the star path element
             const starPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -266,13 +331,59 @@ class StarVisualization {
         return layers;
     }
 
+    // Shrink or grow star points towards the center
+    scalePoints(points, scale) {
+        return points.map(point => ({
+            ...point,
+            radius: point.radius * scale,
+            tip: {
+                x: this.centerX + (point.tip.x - this.centerX) * scale,
+                y: this.centerY + (point.tip.y - this.centerY) * scale
+            }
+        }));
+    }
+
+    // Redraw the star layers in place from precomputed points, without the
+    // entrance animation (used for timeline playback frames)
+    drawStarFrame(points) {
+        const layers = this.svg.querySelectorAll('.star-path');
+
+        if (layers.length !== this.bevelLayers.length) {
+            layers.forEach(layer => layer.remove());
+            this.createBevelStarLayers(points).forEach(layer => this.svg.appendChild(layer));
+            return;
+        }
+
+        layers.forEach((layer, index) => {
+            layer.setAttribute('d', this.createStarPath(this.scalePoints(points, this.bevelLayers[index].scale)));
+        });
+    }
+
+    // Star points part way between two sets of points (t from 0 to 1)
+    interpolatePoints(fromPoints, toPoints, t) {
+        return fromPoints.map((from, i) => {
+            const to = toPoints[i];
+            const radius = from.radius + (to.radius - from.radius) * t;
+            return {
+                ...to,
+                value: from.value + (to.value - from.value) * t,
+                radius: radius,
+                tip: {
+                    x: this.centerX + Math.cos(to.angle) * radius,
+                    y: this.centerY + Math.sin(to.angle) * radius
+                }
+            };
+        });
+    }
+
     // Update the star visualization
     updateStar(stats) {
         // Remove existing star elements
         const existingStars = this.svg.querySelectorAll('.star-path, .stat-point');
         existingStars.forEach(el => el.remove());
 
-        const points = this.calculateStarPoints(stats);
+        this.currentStats = { ...stats };
+        const points = this.calculateStarPoints(stats, this.getScaleMax());
         
         if (points.length === 0) return;
 
@@ -289,6 +400,46 @@ class StarVisualization {
         starLayers.forEach(layer => {
             this.animateStar(layer);
         });
+
+        // Keep the ghost on top of the new layers
+        this.drawGhostStar();
+    }
+
+    // Largest stat across the current and ghost stars, so both share a scale
+    getScaleMax() {
+        return Math.max(
+            this.getMaxStatValue(this.currentStats || {}),
+            this.getMaxStatValue(this.ghostStats || {})
+        );
+    }
+
+    // Set past stats to overlay as a translucent star on the next
+    // updateStar() (null removes it)
+    setGhostStats(stats) {
+        this.ghostStats = stats ? { ...stats } : null;
+    }
+
+    // Draw the ghost star outline above the current star
+    drawGhostStar() {
+        const existingGhost = this.svg.querySelector('.ghost-star');
+        if (existingGhost) {
+            existingGhost.remove();
+        }
+
+        if (!this.ghostStats) {
+            return;
+        }
+
+        const points = this.calculateStarPoints(this.ghostStats, this.getScaleMax());
+        const ghost = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        ghost.setAttribute('class', 'ghost-star');
+        ghost.setAttribute('d', this.createStarPath(points));
+        ghost.setAttribute('fill', 'rgba(255, 255, 255, 0.15)');
+        ghost.setAttribute('stroke', '#ffffff');
+        ghost.setAttribute('stroke-width', '2');
+        ghost.setAttribute('stroke-dasharray', '6,4');
+        ghost.setAttribute('pointer-events', 'none');
+        this.svg.appendChild(ghost);
     }
 
     // Show tooltip for stat point
@@ -350,18 +501,12 @@ class StarVisualization {
 
     // Get current max stat value for scaling
     getMaxStatValue(stats) {
-        return Math.max(...Object.values(stats), 1);
+        return Math.max(...this.statOrder.map(stat => stats[stat] || 0), 1);
     }
 
     // Reset star to empty state
     resetStar() {
-        const emptyStats = {
-            physical: 0,
-            mental: 0,
-            social: 0,
-            creative: 0,
-            productive: 0
-        };
+        const emptyStats = window.statRegistry.createStatMap(0);
         this.updateStar(emptyStats);
     }
 }
@@ -0,0 +1,190 @@
+// Stat Definitions
+// The single list of stats the app tracks. Storage, the activity form,
+// titles and the star all read it from here, in this order (clockwise
+// around the star from the top). Users can rename, recolor, reorder and add
+// stats; the list is saved in DataStorage settings and loaded back in here.
+// Archived stats leave the star and the forms but keep their points and
+// history, so keys are never reused or removed.
+class StatRegistry {
+    constructor() {
+        // The star needs at least a triangle and stays readable up to ten axes
+        this.minStats = 3;
+        this.maxStats = 10;
+
+        this.definitions = [ // { key, name, color, archived }
+            { key: 'physical', name: 'Physical', color: '#ff4444' },
+            { key: 'mental', name: 'Mental', color: '#4488ff' },
+            { key: 'social', name: 'Social', color: '#44ff44' },
+            { key: 'creative', name: 'Creative', color: '#ff44ff' },
+            { key: 'productive', name: 'Productive', color: '#ffaa44' }
+        ];
+
+        // What 1-5 points mean, shown in the intensity guide
+        this.intensityGuides = {
+            physical: [
+                'Light activity (10-15 min walk, stretching, taking stairs)',
+                'Moderate activity (20-30 min walk, light workout, active chores)',
+                'Good workout (45+ min exercise, gym session, sports game)',
+                'Intense workout (1+ hour intense exercise, challenging hike, competitive sports)',
+                'Exceptional effort (marathon training, intense 2+ hour session, major physical challenge)'
+            ],
+            mental: [
+                'Light learning (reading article, podcast, quick research)',
+                'Focused study (30+ min reading, online course lesson, problem-solving)',
+                'Deep work (1+ hour focused learning, completing course module, skill practice)',
+                'Intensive mental effort (2+ hours study, complex project work, difficult skill mastery)',
+                'Major mental achievement (completing course, mastering difficult concept, significant breakthrough)'
+            ],
+            social: [
+                'Brief interaction (text conversation, quick call, small talk)',
+                'Meaningful conversation (30+ min chat, helping someone, group interaction)',
+                'Quality social time (dinner with friends, family activity, networking event)',
+                'Significant social effort (hosting event, deep conversation, community involvement)',
+                'Major social milestone (public speaking, leading event, meaningful relationship building)'
+            ],
+            creative: [
+                'Small creative act (doodling, quick photo, brainstorming)',
+                'Creative practice (30+ min drawing/writing, trying new recipe, decorating)',
+                'Focused creative work (1+ hour project, completing piece, learning technique)',
+                'Substantial creative effort (major project progress, performance, complex creation)',
+                'Creative breakthrough (finishing major work, public display, mastering new medium)'
+            ],
+            productive: [
+                'Small task completion (organizing desk, quick admin, simple planning)',
+                'Moderate productivity (completing to-do items, 1-2 hour work session, planning)',
+                'Good productivity day (major task completion, 3+ focused hours, system improvement)',
+                'High productivity (multiple major tasks, full productive day, significant progress)',
+                'Exceptional productivity (major milestone, system overhaul, extraordinary output)'
+            ]
+        };
+
+        this.defaultIntensityGuide = [
+            'A small step (a few minutes of effort)',
+            'A solid session (around half an hour)',
+            'Focused work (an hour or more)',
+            'A big push (a long or demanding session)',
+            'A milestone (finishing something major)'
+        ];
+    }
+
+    // Replace the stat list (e.g. with the one saved in settings)
+    setDefinitions(definitions) {
+        this.definitions = definitions.map(stat => ({ ...stat }));
+    }
+
+    // Active stat definitions, in star order
+    getStats() {
+        return this.definitions.filter(stat => !stat.archived);
+    }
+
+    // Every stat definition including archived ones
+    getAllStats() {
+        return this.definitions;
+    }
+
+    // Active stat keys, in star order
+    getKeys() {
+        return this.getStats().map(stat => stat.key);
+    }
+
+    // Every stat key including archived ones
+    getAllKeys() {
+        return this.definitions.map(stat => stat.key);
+    }
+
+    // Definition for one stat, or undefined for an unknown key
+    get(key) {
+        return this.definitions.find(stat => stat.key === key);
+    }
+
+    // Whether a stat exists, archived or not
+    has(key) {
+        return this.definitions.some(stat => stat.key === key);
+    }
+
+    isArchived(key) {
+        const stat = this.get(key);
+        return Boolean(stat && stat.archived);
+    }
+
+    // Display name for a stat (falls back to the capitalized key)
+    getName(key) {
+        const stat = this.get(key);
+        return stat ? stat.name : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    // Color for a stat (gray for unknown keys)
+    getColor(key) {
+        const stat = this.get(key);
+        return stat ? stat.color : '#888888';
+    }
+
+    // What 1-5 points mean for a stat
+    // (stats without their own get the default guide)
+    getIntensityGuide(key) {
+        return this.intensityGuides[key] || this.defaultIntensityGuide;
+    }
+
+    // Colors keyed by stat
+    getColors() {
+        return Object.fromEntries(this.definitions.map(stat => [stat.key, stat.color]));
+    }
+
+    // An object with every stat key set to the same value, e.g. { physical: 0, ... }.
+    // Archived stats are included so their totals are kept.
+    createStatMap(value) {
+        return Object.fromEntries(this.definitions.map(stat => [stat.key, value]));
+    }
+
+    // A key for a new stat from its name, e.g. "Spiritual Growth" -> "spiritualGrowth"
+    createKey(name, definitions = this.definitions) {
+        const words = name.toLowerCase().match(/[a-z0-9]+/g) || ['stat'];
+        let base = words.map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (/^[0-9]/.test(base)) {
+            base = `stat${base}`;
+        }
+
+        let key = base;
+        for (let i = 2; definitions.some(stat => stat.key === key); i++) {
+            key = `${base}${i}`;
+        }
+        return key;
+    }
+
+    // List what is wrong with a stat list before it is saved
+    validateDefinitions(definitions) {
+        const problems = [];
+        const active = definitions.filter(stat => !stat.archived);
+        const keys = new Set();
+        const names = new Set();
+
+        if (active.length < this.minStats) {
+            problems.push(`The star needs at least ${this.minStats} active stats.`);
+        }
+        if (active.length > this.maxStats) {
+            problems.push(`The star can show at most ${this.maxStats} stats.`);
+        }
+
+        definitions.forEach(stat => {
+            const name = typeof stat.name === 'string' ? stat.name.trim() : '';
+            if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(stat.key) || keys.has(stat.key)) {
+                problems.push(`Invalid or duplicate stat key "${stat.key}".`);
+            }
+            if (!name) {
+                problems.push('Every stat needs a name.');
+            } else if (names.has(name.toLowerCase())) {
+                problems.push(`There is already a stat named "${name}".`);
+            }
+            if (!/^#[0-9a-fA-F]{6}$/.test(stat.color)) {
+                problems.push(`"${name || stat.key}" needs a color like #ff4444.`);
+            }
+            keys.add(stat.key);
+            names.add(name.toLowerCase());
+        });
+
+        return problems;
+    }
+}
+
+// Create global instance
+window.statRegistry = new StatRegistry();
@@ -0,0 +1,220 @@
+// Storage Adapters
+// DataStorage keeps its data in memory and hands every change to one of these
+// adapters to persist. All adapter methods are asynchronous.
+
+// Wrap an IndexedDB request in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once a transaction has committed
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Filter and sort activities in memory (newest first)
+function filterActivities(activities, { from = null, to = null, stat = null } = {}) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+
+    return activities
+        .filter(activity => {
+            const activityDate = new Date(activity.date);
+            if (start && activityDate < start) return false;
+            if (end && activityDate > end) return false;
+            if (stat && !(activity.stats[stat] > 0)) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Single JSON blob in localStorage (fallback when IndexedDB is unavailable)
+class LocalStorageAdapter {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.name = 'localStorage';
+    }
+
+    async open() {
+        // Nothing to open; fail early if localStorage itself is blocked
+        localStorage.getItem(this.storageKey);
+    }
+
+    async load() {
+        const savedData = localStorage.getItem(this.storageKey);
+        return savedData ? JSON.parse(savedData) : null;
+    }
+
+    async save(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    async replaceAll(data) {
+        await this.save(data);
+    }
+
+    async clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    async queryActivities(query) {
+        const data = await this.load();
+        return data ? filterActivities(data.activities || [], query) : [];
+    }
+}
+
+// IndexedDB with one record per activity and event, indexed by date and stat
+class IndexedDBAdapter {
+    constructor(dbName = 'lifeGamify') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.name = 'indexedDB';
+        this.db = null;
+
+        // What is already on disk, so saves only write the difference
+        this.persistedActivities = new Map();
+        this.persistedEventCount = 0;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    async open() {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains('state')) {
+                db.createObjectStore('state');
+            }
+            if (!db.objectStoreNames.contains('activities')) {
+                const activities = db.createObjectStore('activities', { keyPath: 'id' });
+                activities.createIndex('date', 'date');
+                activities.createIndex('stat', 'statKeys', { multiEntry: true });
+            }
+            if (!db.objectStoreNames.contains('events')) {
+                db.createObjectStore('events', { keyPath: 'seq' });
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+    }
+
+    async load() {
+        const transaction = this.db.transaction(['state', 'activities', 'events'], 'readonly');
+        const [state, activityRecords, events] = await Promise.all([
+            promisifyRequest(transaction.objectStore('state').get('main')),
+            promisifyRequest(transaction.objectStore('activities').getAll()),
+            promisifyRequest(transaction.objectStore('events').getAll())
+        ]);
+
+        if (!state) {
+            return null;
+        }
+
+        const activities = activityRecords
+            .map(record => this.fromRecord(record))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        this.rememberPersisted(activities, events);
+        return { ...state, activities: activities, events: events };
+    }
+
+    async save(data) {
+        const transaction = this.db.transaction(['state', 'activities', 'events'], 'readwrite');
+        const activityStore = transaction.objectStore('activities');
+        const eventStore = transaction.objectStore('events');
+        const { activities, events, ...state } = data;
+
+        transaction.objectStore('state').put(state, 'main');
+
+        // Write changed activities and remove deleted ones
+        const liveIds = new Set();
+        activities.forEach(activity => {
+            liveIds.add(activity.id);
+            const serialized = JSON.stringify(activity);
+            if (this.persistedActivities.get(activity.id) !== serialized) {
+                activityStore.put(this.toRecord(activity));
+            }
+        });
+        this.persistedActivities.forEach((serialized, id) => {
+            if (!liveIds.has(id)) {
+                activityStore.delete(id);
+            }
+        });
+
+        // The event log is append-only, so only new events need writing
+        if (events.length < this.persistedEventCount) {
+            eventStore.clear();
+            events.forEach(event => eventStore.put(event));
+        } else {
+            events.slice(this.persistedEventCount).forEach(event => eventStore.put(event));
+        }
+
+        await transactionDone(transaction);
+        this.rememberPersisted(activities, events);
+    }
+
+    async replaceAll(data) {
+        await this.clear();
+        await this.save(data);
+    }
+
+    async clear() {
+        const transaction = this.db.transaction(['state', 'activities', 'events'], 'readwrite');
+        transaction.objectStore('state').clear();
+        transaction.objectStore('activities').clear();
+        transaction.objectStore('events').clear();
+        await transactionDone(transaction);
+        this.rememberPersisted([], []);
+    }
+
+    // Query activities through the date and stat indexes (newest first)
+    async queryActivities({ from = null, to = null, stat = null } = {}) {
+        const transaction = this.db.transaction('activities', 'readonly');
+        const store = transaction.objectStore('activities');
+        let records;
+
+        if (stat) {
+            records = await promisifyRequest(store.index('stat').getAll(stat));
+        } else if (from || to) {
+            const lower = from ? new Date(from).toISOString() : null;
+            const upper = to ? new Date(to).toISOString() : null;
+            const range = lower && upper ? IDBKeyRange.bound(lower, upper)
+                : lower ? IDBKeyRange.lowerBound(lower)
+                : IDBKeyRange.upperBound(upper);
+            records = await promisifyRequest(store.index('date').getAll(range));
+        } else {
+            records = await promisifyRequest(store.getAll());
+        }
+
+        return filterActivities(records.map(record => this.fromRecord(record)), { from, to, stat });
+    }
+
+    // Store the stats an activity touches so the multiEntry index can find it
+    toRecord(activity) {
+        const statKeys = Object.keys(activity.stats).filter(stat => activity.stats[stat] > 0);
+        return { ...activity, statKeys: statKeys };
+    }
+
+    fromRecord(record) {
+        const { statKeys, ...activity } = record;
+        return activity;
+    }
+
+    rememberPersisted(activities, events) {
+        this.persistedActivities = new Map(
+            activities.map(activity => [activity.id, JSON.stringify(activity)])
+        );
+        this.persistedEventCount = events.length;
+    }
+}
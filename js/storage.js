@@ -1,24 +1,25 @@
 // Data Storage Management
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 class DataStorage {
     constructor() {
         this.storageKey = 'lifeGamifyData';
+        this.migrator = window.dataMigrator;
         this.defaultData = {
-            stats: {
-                physical: 0,
-                mental: 0,
-                social: 0,
-                creative: 0,
-                productive: 0
-            },
-            activities: [],
-            lastActivity: {
-                physical: null,
-                mental: null,
-                social: null,
-                creative: null,
-                productive: null
-            },
+            schemaVersion: this.migrator.currentVersion,
+            stats: window.statRegistry.createStatMap(0),
+            activities: [], // Materialized from the event log (newest first)
+            events: [], // Append-only event log; stats are a fold over it
+            templates: [], // Saved activities for one-tap quick logging
+            habits: [], // Recurring activities expected on a schedule
+            achievements: [], // Unlocked badges: { id, unlockedDate }
+            confidants: [], // People tagged on Social activities
+            lastActivity: window.statRegistry.createStatMap(null),
+            declinedThrough: window.statRegistry.createStatMap(null),
             settings: {
+                stats: window.statRegistry.getAllStats().map(stat => ({ ...stat })), // Stat names, colors and star order
+                titles: {}, // Edited title ladders, keyed by stat
+                levelCurve: window.levelSystem.copyCurve(window.levelSystem.defaultCurve), // XP needed per character level
                 maxStatValue: 100, // For scaling the star visualization
                 createdDate: new Date().toISOString(),
                 declineSettings: {
@@ -28,98 +29,249 @@ class DataStorage {
                 }
             }
         };
+
+        this.adapter = null;
+        this.cache = null; // Last saved data, kept in memory for synchronous reads
+        this.pendingWrite = Promise.resolve();
+        this.loadError = null; // Set when saved data cannot be read by this version
+        this.ready = this.initialize();
     }
 
-    // Load data from localStorage
-    loadData() {
+    // Pick a storage adapter and load saved data into memory
+    async initialize() {
+        this.adapter = await this.openAdapter();
+
         try {
-            const savedData = localStorage.getItem(this.storageKey);
+            let savedData = await this.adapter.load();
+            let legacyBlob = null;
+
+            // One-time move of the old localStorage blob into IndexedDB
+            if (!savedData && this.adapter instanceof IndexedDBAdapter) {
+                legacyBlob = localStorage.getItem(this.storageKey);
+                savedData = legacyBlob ? JSON.parse(legacyBlob) : null;
+            }
+
             if (savedData) {
-                const parsedData = JSON.parse(savedData);
+                const needsMigration = this.migrator.needsMigration(savedData);
+                this.cache = this.migrator.migrate(savedData, this);
+
+                if (legacyBlob !== null) {
+                    // Written straight to the adapter so a failed write throws
+                    // and the blob stays in localStorage for the next attempt
+                    try {
+                        await this.adapter.replaceAll(this.loadData());
+                    } catch (error) {
+                        throw new Error(`Could not move your data into IndexedDB (${error.message}). ` +
+                            'It is still saved in this browser; reload to try again.');
+                    }
+                    localStorage.removeItem(this.storageKey);
+                    console.log('Migrated saved data from localStorage to IndexedDB');
+                } else if (needsMigration) {
+                    this.replaceData(this.loadData());
+                    await this.pendingWrite;
+                }
+            }
+        } catch (error) {
+            // Leave newer or unreadable data untouched on disk
+            this.loadError = error;
+            this.cache = null;
+            console.error(`Error loading data from ${this.adapter.name}:`, error);
+        }
+
+        this.syncSettings();
+
+        console.log(`Data storage ready (${this.adapter.name})`);
+    }
+
+    // Prefer IndexedDB, fall back to localStorage when it is unavailable
+    async openAdapter() {
+        if (IndexedDBAdapter.isAvailable()) {
+            const adapter = new IndexedDBAdapter();
+            try {
+                await adapter.open();
+                return adapter;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            }
+        }
+
+        const adapter = new LocalStorageAdapter(this.storageKey);
+        await adapter.open();
+        return adapter;
+    }
+
+    // Load data from the in-memory copy of storage
+    loadData() {
+        try {
+            if (this.cache) {
+                const parsedData = JSON.parse(JSON.stringify(this.cache));
                 // Merge with default data to ensure all properties exist
-                return {
-                    ...this.defaultData,
-                    ...parsedData,
-                    stats: { ...this.defaultData.stats, ...parsedData.stats },
-                    settings: { ...this.defaultData.settings, ...parsedData.settings }
-                };
+                return this.mergeWithDefaults(parsedData);
             }
         } catch (error) {
-            console.error('Error loading data from localStorage:', error);
+            console.error('Error loading data:', error);
         }
-        return this.defaultData;
+        // Fresh copy so appending events never mutates the defaults
+        return JSON.parse(JSON.stringify(this.defaultData));
+    }
+
+    // Copy of one top-level section of the saved data, filled in from the
+    // defaults. Read-only getters use this so they don't clone the event log.
+    readSection(key) {
+        const defaults = this.defaultData[key];
+        const value = this.cache ? this.cache[key] : undefined;
+
+        if (value === undefined) {
+            return JSON.parse(JSON.stringify(defaults));
+        }
+
+        const copy = JSON.parse(JSON.stringify(value));
+        const isObject = copy && typeof copy === 'object' && !Array.isArray(copy);
+        const defaultIsObject = defaults && typeof defaults === 'object' && !Array.isArray(defaults);
+        return isObject && defaultIsObject ? this.mergeWithDefaults(copy, defaults) : copy;
     }
 
-    // Save data to localStorage
+    // Deep-merge data over the defaults; arrays and values from data win
+    mergeWithDefaults(data, defaults = this.defaultData) {
+        const merged = JSON.parse(JSON.stringify(defaults));
+        Object.entries(data).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            const defaultIsObject = merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+            merged[key] = isObject && defaultIsObject ? this.mergeWithDefaults(value, merged[key]) : value;
+        });
+        return merged;
+    }
+
+    // Save data to memory and queue the write to the storage adapter
     saveData(data) {
+        if (this.loadError) {
+            console.error('Not saving: saved data could not be loaded.', this.loadError);
+            return false;
+        }
+
+        try {
+            const snapshot = JSON.parse(JSON.stringify(data));
+            this.cache = snapshot;
+            this.pendingWrite = this.pendingWrite
+                .then(() => this.adapter.save(snapshot))
+                .catch(error => console.error(`Error saving data to ${this.adapter.name}:`, error));
+            return true;
+        } catch (error) {
+            console.error('Error saving data:', error);
+            return false;
+        }
+    }
+
+    // Replace everything in storage (used when the saved data is swapped wholesale)
+    replaceData(data) {
+        if (this.loadError) {
+            console.error('Not saving: saved data could not be loaded.', this.loadError);
+            return false;
+        }
+
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            const snapshot = JSON.parse(JSON.stringify(data));
+            this.cache = snapshot;
+            this.pendingWrite = this.pendingWrite
+                .then(() => this.adapter.replaceAll(snapshot))
+                .catch(error => console.error(`Error replacing data in ${this.adapter.name}:`, error));
             return true;
         } catch (error) {
-            console.error('Error saving data to localStorage:', error);
+            console.error('Error replacing data:', error);
             return false;
         }
     }
 
-    // Add a new activity and update stats
+    // Add a new activity and update stats. Returns the activity, or null if it
+    // couldn't be saved.
     addActivity(activityData) {
         const data = this.loadData();
         
         // Apply decline before adding new activity
         this.applyDecline(data);
         
-        // Create activity object
+        // Create activity object (the date may be backdated)
+        const date = activityData.date ? new Date(activityData.date) : new Date();
         const activity = {
-            id: Date.now(), // Simple ID using timestamp
+            id: this.generateId(),
             name: activityData.name,
             stats: { ...activityData.stats },
             notes: activityData.notes || '',
-            date: new Date().toISOString(),
-            dateString: new Date().toLocaleDateString()
+            date: date.toISOString(),
+            dateString: date.toLocaleDateString(),
+            // Time of day, picked by hand or taken from the time
+            timeSlot: window.timeSlots.has(activityData.timeSlot) ? activityData.timeSlot : window.timeSlots.getSlotForDate(date)
         };
 
-        // Add to activities array (newest first)
-        data.activities.unshift(activity);
-
-        // Update total stats
-        Object.keys(activity.stats).forEach(stat => {
-            if (activity.stats[stat] > 0) {
-                data.stats[stat] += activity.stats[stat];
-                // Update last activity timestamp for this stat
-                data.lastActivity[stat] = new Date().toISOString();
-            }
-        });
+        // Activities logged from a habit count as its completions
+        if (activityData.habitId) {
+            activity.habitId = activityData.habitId;
+        }
 
-        // Keep only last 50 activities to prevent storage bloat
-        if (data.activities.length > 50) {
-            data.activities = data.activities.slice(0, 50);
+        // Confidants tagged on a Social activity
+        if (activityData.confidantIds && activityData.confidantIds.length > 0) {
+            activity.confidantIds = [...new Set(activityData.confidantIds)];
         }
 
+        this.appendEvent(data, { type: 'activity_added', date: activity.date, activity: activity });
+        this.reconcileDeclineRefunds(data);
+
         // Save updated data
-        this.saveData(data);
-        return activity;
+        return this.saveData(data) ? activity : null;
+    }
+
+    // Create a globally unique string ID (UUID v4)
+    generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+
+        // Fallback for browsers without randomUUID (e.g. non-secure contexts)
+        const bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+            crypto.getRandomValues(bytes);
+        } else {
+            bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
     }
 
     // Get current stats
     getStats() {
-        const data = this.loadData();
-        return data.stats;
+        return this.readSection('stats');
     }
 
     // Get recent activities
     getActivities(limit = 10) {
-        const data = this.loadData();
-        return data.activities.slice(0, limit);
+        const activities = this.cache && Array.isArray(this.cache.activities) ? this.cache.activities.slice(0, limit) : [];
+        return JSON.parse(JSON.stringify(activities));
     }
 
     // Get all activities
     getAllActivities() {
-        const data = this.loadData();
-        return data.activities;
+        return this.readSection('activities');
+    }
+
+    // Query activities by date range and/or stat through the storage indexes,
+    // once pending writes have landed. Resolves to matching activities, newest first.
+    // While storage can't be read the in-memory data is filtered instead.
+    async queryActivities({ from = null, to = null, stat = null } = {}) {
+        if (this.loadError) {
+            return filterActivities(this.getAllActivities(), { from, to, stat });
+        }
+
+        await this.pendingWrite;
+        return this.adapter.queryActivities({ from, to, stat });
     }
 
     // Delete an activity and recalculate stats
     deleteActivity(activityId) {
+        // IDs are strings; older callers may still pass the numeric form
+        activityId = String(activityId);
         const data = this.loadData();
         const activityIndex = data.activities.findIndex(activity => activity.id === activityId);
         
@@ -127,23 +279,179 @@ class DataStorage {
             return false;
         }
 
-        const activity = data.activities[activityIndex];
-        
-        // Remove activity from array
-        data.activities.splice(activityIndex, 1);
-
-        // Recalculate stats from scratch
-        data.stats = { ...this.defaultData.stats };
-        data.activities.forEach(act => {
-            Object.keys(act.stats).forEach(stat => {
-                if (act.stats[stat] > 0) {
-                    data.stats[stat] += act.stats[stat];
+        this.appendEvent(data, {
+            type: 'activity_deleted',
+            date: new Date().toISOString(),
+            activityId: activityId
+        });
+        this.reconcileDeclineRefunds(data);
+
+        return this.saveData(data);
+    }
+
+    // Edit an activity's name, notes, stats or date
+    updateActivity(activityId, changes) {
+        activityId = String(activityId);
+        const data = this.loadData();
+        const activity = data.activities.find(act => act.id === activityId);
+
+        if (!activity) {
+            return false;
+        }
+
+        const eventChanges = {
+            name: changes.name,
+            notes: changes.notes,
+            stats: { ...changes.stats }
+        };
+
+        const date = changes.date ? new Date(changes.date) : null;
+        if (date && date.getTime() !== new Date(activity.date).getTime()) {
+            eventChanges.date = date.toISOString();
+            eventChanges.dateString = date.toLocaleDateString();
+        }
+
+        if (changes.timeSlot && changes.timeSlot !== window.timeSlots.getSlot(activity)) {
+            eventChanges.timeSlot = changes.timeSlot;
+        }
+
+        this.appendEvent(data, {
+            type: 'activity_edited',
+            date: new Date().toISOString(),
+            activityId: activityId,
+            changes: eventChanges
+        });
+
+        this.reconcileDeclineRefunds(data);
+
+        return this.saveData(data);
+    }
+
+    // Add or remove points by hand, outside of any activity
+    addManualAdjustment(stat, points, reason = '') {
+        const data = this.loadData();
+        if (!(stat in data.stats) || !points) {
+            return false;
+        }
+
+        this.appendEvent(data, {
+            type: 'manual_adjustment',
+            date: new Date().toISOString(),
+            stat: stat,
+            points: points,
+            reason: reason
+        });
+
+        return this.saveData(data);
+    }
+
+    // Append an event to the log and refresh the derived stats and activities
+    appendEvent(data, event) {
+        data.events.push({ seq: data.events.length + 1, ...event });
+        this.rebuildFromEvents(data);
+        return event;
+    }
+
+    // Append several events in order and refresh the derived data once, so
+    // large imports don't replay the log for every row
+    appendEvents(data, events) {
+        events.forEach(event => data.events.push({ seq: data.events.length + 1, ...event }));
+        this.rebuildFromEvents(data);
+        return events;
+    }
+
+    // Recompute stats, the activity list and last activity dates from the event log
+    rebuildFromEvents(data) {
+        const { stats, activities, lastActivity } = this.replayEvents(data.events);
+        data.stats = stats;
+        data.activities = activities;
+        data.lastActivity = { ...window.statRegistry.createStatMap(null), ...lastActivity };
+        return data;
+    }
+
+    // Fold the event log into stat totals and the live activities (newest first).
+    // lastActivity is the real date of the latest live activity for each stat,
+    // so backdated and re-dated activities count on the day they happened.
+    replayEvents(events) {
+        const stats = window.statRegistry.createStatMap(0);
+        const activities = new Map();
+
+        // Apply per-stat point changes, never dropping a stat below zero
+        const applyDelta = (delta) => {
+            Object.entries(delta).forEach(([stat, points]) => {
+                stats[stat] = Math.max(0, (stats[stat] || 0) + points);
+            });
+        };
+
+        const statDelta = (oldStats = {}, newStats = {}) => {
+            const delta = {};
+            new Set([...Object.keys(oldStats), ...Object.keys(newStats)]).forEach(stat => {
+                const change = (newStats[stat] || 0) - (oldStats[stat] || 0);
+                if (change !== 0) {
+                    delta[stat] = change;
                 }
             });
+            return delta;
+        };
+
+        events.forEach(event => {
+            switch (event.type) {
+                case 'activity_added':
+                    activities.set(event.activity.id, { ...event.activity });
+                    applyDelta(statDelta({}, event.activity.stats));
+                    break;
+                case 'activity_edited': {
+                    const activity = activities.get(event.activityId);
+                    if (!activity) break;
+                    const updated = { ...activity, ...event.changes };
+                    activities.set(event.activityId, updated);
+                    applyDelta(statDelta(activity.stats, updated.stats));
+                    break;
+                }
+                case 'activity_deleted': {
+                    const activity = activities.get(event.activityId);
+                    if (!activity) break;
+                    activities.delete(event.activityId);
+                    applyDelta(statDelta(activity.stats, {}));
+                    break;
+                }
+                case 'decline_applied':
+                    applyDelta({ [event.stat]: -event.points });
+                    break;
+                case 'decline_refunded':
+                    applyDelta({ [event.stat]: event.points });
+                    break;
+                case 'manual_adjustment':
+                    applyDelta({ [event.stat]: event.points });
+                    break;
+                default:
+                    console.warn('Unknown event type in log:', event.type);
+            }
         });
 
-        this.saveData(data);
-        return true;
+        const liveActivities = Array.from(activities.values())
+            .reverse()
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const lastActivity = {};
+        liveActivities.forEach(activity => {
+            Object.keys(activity.stats).forEach(stat => {
+                if (activity.stats[stat] > 0 && !lastActivity[stat]) {
+                    lastActivity[stat] = activity.date;
+                }
+            });
+        });
+
+        return {
+            stats: stats,
+            activities: liveActivities,
+            lastActivity: lastActivity
+        };
+    }
+
+    // Get the raw event log (oldest first)
+    getEventLog() {
+        return this.readSection('events');
     }
 
     // Export data as JSON
@@ -151,42 +459,621 @@ class DataStorage {
         const data = this.loadData();
         const exportData = {
             ...data,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
+            schemaVersion: this.migrator.currentVersion,
+            exportDate: new Date().toISOString()
         };
         return JSON.stringify(exportData, null, 2);
     }
 
-    // Import data from JSON
-    importData(jsonString) {
+    // Parse, upgrade and validate an export file without importing it.
+    // Returns the upgraded data, any validation errors, and a preview of how
+    // its activities compare with the ones already stored.
+    validateImportFile(jsonString) {
+        let fileData;
         try {
             const importedData = JSON.parse(jsonString);
-            
+
             // Validate imported data structure
-            if (!importedData.stats || !importedData.activities) {
-                throw new Error('Invalid data format');
+            if (!importedData || !importedData.stats || !Array.isArray(importedData.activities)) {
+                throw new Error('Invalid data format: expected Life Gamify stats and activities.');
+            }
+            if (importedData.activities.some(activity => !activity || typeof activity !== 'object')) {
+                throw new Error('Invalid data format: every activity must be an object.');
+            }
+            // Older files are upgraded from their activities, which needs their points
+            const missingStats = importedData.activities.findIndex(activity =>
+                !activity.stats || typeof activity.stats !== 'object' || Array.isArray(activity.stats));
+            if (missingStats !== -1) {
+                const activity = importedData.activities[missingStats];
+                const label = typeof activity.name === 'string' && activity.name ? `"${activity.name}"` : `#${missingStats + 1}`;
+                throw new Error(`Activity ${label}: missing stats`);
+            }
+            const sectionProblems = this.validateImportSections(importedData);
+            if (sectionProblems.length > 0) {
+                return { valid: false, errors: sectionProblems, data: null, preview: null };
             }
 
-            // Merge with default data to ensure all properties exist
-            const validatedData = {
-                ...this.defaultData,
-                ...importedData,
-                stats: { ...this.defaultData.stats, ...importedData.stats },
-                settings: { ...this.defaultData.settings, ...importedData.settings }
-            };
+            // Drop export-only fields (older files stamped a format version string).
+            // Sections left empty (null) fall back to the defaults.
+            const { exportDate, version, ...rest } = importedData;
+            ['events', 'achievements', 'confidants', 'templates', 'habits'].forEach(key => {
+                if (rest[key] === null) {
+                    delete rest[key];
+                }
+            });
+            fileData = this.mergeWithDefaults(this.migrator.migrate(rest, this));
 
-            this.saveData(validatedData);
-            return true;
+            // The stat list replaces (or is merged into) the one in use, so it
+            // has to pass the same checks as one edited in settings
+            const fileStats = fileData.settings.stats;
+            if (!Array.isArray(fileStats) || fileStats.some(stat => !stat || typeof stat !== 'object')) {
+                throw new Error('Invalid data format: settings.stats must be a list of stats.');
+            }
+            const statProblems = window.statRegistry.validateDefinitions(fileStats);
+            if (statProblems.length > 0) {
+                return { valid: false, errors: statProblems.map(problem => `Stats: ${problem}`), data: null, preview: null };
+            }
+
+            // Same for edited title ladders
+            const fileTitles = fileData.settings.titles;
+            if (!fileTitles || typeof fileTitles !== 'object' || Array.isArray(fileTitles)) {
+                throw new Error('Invalid data format: settings.titles must list title ladders by stat.');
+            }
+            const titleProblems = [];
+            Object.entries(fileTitles).forEach(([stat, ladder]) => {
+                const fileStat = fileStats.find(definition => definition.key === stat);
+                const name = fileStat ? fileStat.name : stat;
+                window.titleSystem.validateTitles(window.titleSystem.readSavedLadder(ladder)).forEach(problem => {
+                    titleProblems.push(`${name} titles: ${problem}`);
+                });
+            });
+            if (titleProblems.length > 0) {
+                return { valid: false, errors: titleProblems, data: null, preview: null };
+            }
+
+            // Listed activities are checked before they go into the event log
+            const listedProblems = this.findActivityProblems(fileData.activities, fileStats);
+            if (listedProblems.length > 0) {
+                return { valid: false, errors: listedProblems, data: null, preview: null };
+            }
+
+            // The listed activities are what the file shows, so they win over its
+            // event log: ones without a matching event (e.g. added by hand) are
+            // logged as new and ones that differ get an edit event. Logged
+            // activities missing from the list mean the two don't belong together.
+            const listedActivities = fileData.activities;
+            const logged = new Map(this.replayEvents(fileData.events).activities.map(activity => [activity.id, activity]));
+            const listedIds = new Set(listedActivities.map(activity => activity.id));
+            const unlisted = [...logged.values()].filter(activity => !listedIds.has(activity.id));
+            if (unlisted.length > 0) {
+                return {
+                    valid: false,
+                    errors: unlisted.map(activity => `Activity "${activity.name}" is in the event log but not in the activities list.`),
+                    data: null,
+                    preview: null
+                };
+            }
+
+            const now = new Date().toISOString();
+            listedActivities
+                .slice()
+                .reverse()
+                .forEach(activity => {
+                    const loggedActivity = logged.get(activity.id);
+                    if (!loggedActivity) {
+                        fileData.events.push({
+                            seq: fileData.events.length + 1,
+                            type: 'activity_added',
+                            date: activity.date,
+                            activity: activity
+                        });
+                        return;
+                    }
+
+                    const changes = this.getImportChanges(loggedActivity, activity);
+                    if (Object.keys(changes).length > 0) {
+                        fileData.events.push({
+                            seq: fileData.events.length + 1,
+                            type: 'activity_edited',
+                            date: now,
+                            activityId: activity.id,
+                            changes: changes
+                        });
+                    }
+                });
+            this.rebuildFromEvents(fileData);
         } catch (error) {
-            console.error('Error importing data:', error);
-            return false;
+            const message = error instanceof SyntaxError ? 'File is not valid JSON.' : error.message;
+            return { valid: false, errors: [message], data: null, preview: null };
+        }
+
+        const errors = this.findActivityProblems(fileData.activities, fileData.settings.stats);
+
+        // Only well-formed activities can be compared with the stored ones
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            data: fileData,
+            preview: errors.length === 0 ? this.previewImport(fileData.activities) : null
+        };
+    }
+
+    // List what is wrong with the event log, badges, confidants, templates,
+    // habits and settings of an import file. Missing (or null) lists are fine; they get the defaults.
+    validateImportSections(importedData) {
+        const problems = [];
+        const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+        const isId = (value) => (typeof value === 'string' && value !== '') || Number.isFinite(value);
+        const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+        const checkList = (key, label, check) => {
+            const list = importedData[key];
+            if (list === undefined || list === null) {
+                return;
+            }
+            if (!Array.isArray(list)) {
+                problems.push(`Invalid data format: ${key} must be a list.`);
+                return;
+            }
+            list.forEach((entry, index) => {
+                const problem = isObject(entry) ? check(entry) : 'not an object';
+                if (problem) {
+                    problems.push(`${label} #${index + 1}: ${problem}`);
+                }
+            });
+        };
+
+        checkList('events', 'Event', (event) => {
+            switch (event.type) {
+                case 'activity_added':
+                    return isObject(event.activity) && isId(event.activity.id) && isObject(event.activity.stats)
+                        ? null : 'missing the added activity';
+                case 'activity_edited':
+                    if (!isId(event.activityId) || !isObject(event.changes)) return 'missing the activity id or changes';
+                    return event.changes.stats === undefined || isObject(event.changes.stats) ? null : 'invalid stats change';
+                case 'activity_deleted':
+                    return isId(event.activityId) ? null : 'missing the activity id';
+                case 'decline_applied':
+                case 'decline_refunded':
+                case 'manual_adjustment':
+                    return typeof event.stat === 'string' && Number.isFinite(event.points) ? null : 'missing the stat or points';
+                default:
+                    return typeof event.type === 'string' ? null : 'missing type';
+            }
+        });
+
+        checkList('achievements', 'Achievement', (record) => {
+            if (typeof record.id !== 'string' || !record.id) return 'missing id';
+            return isDate(record.unlockedDate) ? null : 'invalid unlock date';
+        });
+
+        checkList('confidants', 'Confidant', (confidant) => {
+            if (typeof confidant.id !== 'string' || !confidant.id) return 'missing id';
+            if (typeof confidant.name !== 'string' || !confidant.name.trim()) return 'missing name';
+            if (confidant.archivedDate && !isDate(confidant.archivedDate)) return 'invalid archive date';
+            return null;
+        });
+
+        checkList('templates', 'Template', (template) => {
+            if (typeof template.id !== 'string' || !template.id) return 'missing id';
+            if (typeof template.name !== 'string' || !template.name.trim()) return 'missing name';
+            if (!isObject(template.stats)) return 'missing stats';
+            return template.notes === undefined || typeof template.notes === 'string' ? null : 'notes must be text';
+        });
+
+        checkList('habits', 'Habit', (habit) => {
+            const schedule = habit.schedule;
+            if (typeof habit.id !== 'string' || !habit.id) return 'missing id';
+            if (typeof habit.name !== 'string' || !habit.name.trim()) return 'missing name';
+            if (!isObject(habit.stats)) return 'missing stats';
+            if (habit.notes !== undefined && typeof habit.notes !== 'string') return 'notes must be text';
+            if (!isDate(habit.createdDate)) return 'invalid created date';
+            if (habit.archivedDate && !isDate(habit.archivedDate)) return 'invalid archive date';
+            if (!isObject(schedule)) return 'missing schedule';
+            switch (schedule.type) {
+                case 'daily':
+                    return null;
+                case 'weekdays':
+                    return Array.isArray(schedule.days) && schedule.days.length > 0 &&
+                        schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                        ? null : 'a weekday schedule needs days from 0 (Sunday) to 6';
+                case 'weekly':
+                    return Number.isInteger(schedule.timesPerWeek) && schedule.timesPerWeek >= 1 && schedule.timesPerWeek <= 7
+                        ? null : 'a weekly schedule needs 1 to 7 times per week';
+                default:
+                    return 'unknown schedule type';
+            }
+        });
+
+        // Settings are merged over the defaults, so only the fields present are checked
+        const settings = importedData.settings;
+        if (settings !== undefined && !isObject(settings)) {
+            problems.push('Invalid data format: settings must be an object.');
+        } else if (settings && settings.declineSettings !== undefined) {
+            const decline = settings.declineSettings;
+            const isAmount = (value) => Number.isFinite(value) && value >= 0;
+            if (!isObject(decline)) {
+                problems.push('Decline settings: must be an object.');
+            } else {
+                if (decline.enabled !== undefined && typeof decline.enabled !== 'boolean') {
+                    problems.push('Decline settings: enabled must be true or false.');
+                }
+                if (decline.inactivityDays !== undefined && !isAmount(decline.inactivityDays)) {
+                    problems.push('Decline settings: inactivity days must be a number of 0 or more.');
+                }
+                if (decline.declineRate !== undefined && !isAmount(decline.declineRate)) {
+                    problems.push('Decline settings: decline rate must be a number of 0 or more.');
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    // List what is wrong with the activities of an import file, one line per
+    // problem. Activities may use stats the file defines but this app doesn't
+    // have yet.
+    findActivityProblems(activities, fileStats) {
+        const statKeys = [...new Set([
+            ...window.statRegistry.getAllKeys(),
+            ...fileStats.map(stat => stat.key)
+        ])];
+        const problems = [];
+        activities.forEach((activity, index) => {
+            this.validateActivity(activity, statKeys).forEach(problem => {
+                const label = activity && activity.name ? `"${activity.name}"` : `#${index + 1}`;
+                problems.push(`Activity ${label}: ${problem}`);
+            });
+        });
+        return problems;
+    }
+
+    // List what is wrong with a single activity record
+    validateActivity(activity, statKeys = window.statRegistry.getAllKeys()) {
+        const problems = [];
+
+        if (!activity || typeof activity !== 'object') {
+            return ['not an activity record'];
+        }
+        if (typeof activity.id !== 'string' || !activity.id) {
+            problems.push('missing id');
+        }
+        if (typeof activity.name !== 'string' || !activity.name.trim()) {
+            problems.push('missing name');
+        }
+        if (!activity.date || isNaN(new Date(activity.date).getTime())) {
+            problems.push('invalid date');
+        }
+        if (!activity.stats || typeof activity.stats !== 'object') {
+            problems.push('missing stats');
+        } else {
+            const entries = Object.entries(activity.stats);
+            entries.forEach(([stat, value]) => {
+                if (!statKeys.includes(stat)) {
+                    problems.push(`unknown stat "${stat}"`);
+                } else if (!Number.isInteger(value) || value < 0 || value > 5) {
+                    problems.push(`${stat} points must be a whole number from 0 to 5`);
+                }
+            });
+            if (!entries.some(([, value]) => value > 0)) {
+                problems.push('no points assigned');
+            }
+        }
+        if (activity.notes !== undefined && typeof activity.notes !== 'string') {
+            problems.push('notes must be text');
+        }
+        if (activity.timeSlot !== undefined && !window.timeSlots.has(activity.timeSlot)) {
+            problems.push(`unknown time of day "${activity.timeSlot}"`);
+        }
+        if (activity.confidantIds !== undefined &&
+            (!Array.isArray(activity.confidantIds) || !activity.confidantIds.every(id => typeof id === 'string'))) {
+            problems.push('confidants must be a list of ids');
+        }
+
+        return problems;
+    }
+
+    // Sort incoming activities into new, duplicate and conflicting (same id, different content)
+    previewImport(importedActivities) {
+        const existing = new Map(this.getAllActivities().map(activity => [activity.id, activity]));
+        const preview = { new: [], duplicate: [], conflicting: [] };
+
+        importedActivities.forEach(activity => {
+            const local = existing.get(activity.id);
+            if (!local) {
+                preview.new.push(activity);
+            } else if (Object.keys(this.getImportChanges(local, activity)).length === 0) {
+                preview.duplicate.push(activity);
+            } else {
+                preview.conflicting.push({ local: local, imported: activity });
+            }
+        });
+
+        return preview;
+    }
+
+    // Compare the user-visible content of two activities
+    activitiesMatch(a, b) {
+        const pointsOf = (activity) => window.statRegistry.getAllKeys().map(stat => activity.stats[stat] || 0).join(',');
+        return a.name === b.name &&
+            (a.notes || '') === (b.notes || '') &&
+            new Date(a.date).getTime() === new Date(b.date).getTime() &&
+            pointsOf(a) === pointsOf(b);
+    }
+
+    // Fields of an imported activity that differ from the stored copy, in the
+    // shape of an activity_edited event's changes. Empty when nothing differs.
+    getImportChanges(local, imported) {
+        const changes = {};
+        const statKeys = [...new Set([...Object.keys(local.stats || {}), ...Object.keys(imported.stats || {})])];
+        const pointsOf = (activity) => statKeys.map(stat => (activity.stats || {})[stat] || 0).join(',');
+
+        Object.keys(imported).forEach(key => {
+            switch (key) {
+                case 'id':
+                case 'dateString':
+                    break;
+                case 'date':
+                    if (new Date(imported.date).getTime() !== new Date(local.date).getTime()) {
+                        const date = new Date(imported.date);
+                        changes.date = date.toISOString();
+                        changes.dateString = date.toLocaleDateString();
+                    }
+                    break;
+                case 'stats':
+                    if (pointsOf(imported) !== pointsOf(local)) {
+                        changes.stats = { ...imported.stats };
+                    }
+                    break;
+                case 'notes':
+                    if ((imported.notes || '') !== (local.notes || '')) {
+                        changes.notes = imported.notes || '';
+                    }
+                    break;
+                case 'timeSlot':
+                    if (window.timeSlots.getSlot(imported) !== window.timeSlots.getSlot(local)) {
+                        changes.timeSlot = imported.timeSlot;
+                    }
+                    break;
+                default:
+                    if (JSON.stringify(imported[key]) !== JSON.stringify(local[key])) {
+                        changes[key] = JSON.parse(JSON.stringify(imported[key]));
+                    }
+            }
+        });
+
+        return changes;
+    }
+
+    // Import data from JSON, upgrading files from older versions.
+    // mode 'replace' swaps out all saved data; mode 'merge' keeps the saved
+    // data, adds activities with new ids and takes the imported version of
+    // conflicting ones. Returns { success, error, summary }.
+    importData(jsonString, { mode = 'replace' } = {}) {
+        const result = this.validateImportFile(jsonString);
+
+        if (!result.valid) {
+            const error = result.errors.length > 1
+                ? `${result.errors[0]} (and ${result.errors.length - 1} more problems)`
+                : result.errors[0];
+            console.error('Error importing data:', result.errors);
+            return { success: false, error: error };
+        }
+
+        const summary = {
+            added: result.preview.new.length,
+            duplicates: result.preview.duplicate.length,
+            conflictsUpdated: 0
+        };
+
+        if (mode === 'replace') {
+            this.replaceData(result.data);
+            this.syncSettings();
+            return { success: true, summary: summary };
+        }
+
+        const data = this.loadData();
+        const now = new Date().toISOString();
+
+        // Keep the current stat list, adding any stats only the file defines
+        result.data.settings.stats
+            .filter(stat => !data.settings.stats.some(existing => existing.key === stat.key))
+            .forEach(stat => data.settings.stats.push({ ...stat }));
+        const mergedStatProblems = window.statRegistry.validateDefinitions(data.settings.stats);
+        if (mergedStatProblems.length > 0) {
+            return { success: false, error: `Stats: ${mergedStatProblems[0]}` };
         }
+
+        // Badges earned in either copy stay earned
+        result.data.achievements
+            .filter(record => !data.achievements.some(existing => existing.id === record.id))
+            .forEach(record => data.achievements.push({ ...record }));
+
+        // Imported activities may be tagged with confidants only the file has
+        result.data.confidants
+            .filter(confidant => !data.confidants.some(existing => existing.id === confidant.id))
+            .forEach(confidant => data.confidants.push({ ...confidant }));
+
+        const addedEvents = result.preview.new
+            .slice()
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(activity => ({ type: 'activity_added', date: activity.date, activity: { ...activity, notes: activity.notes || '' } }));
+
+        const editedEvents = result.preview.conflicting.map(({ local, imported }) => ({
+            type: 'activity_edited',
+            date: now,
+            activityId: imported.id,
+            changes: this.getImportChanges(local, imported)
+        }));
+        summary.conflictsUpdated = editedEvents.length;
+
+        this.appendEvents(data, [...addedEvents, ...editedEvents]);
+
+        this.reconcileDeclineRefunds(data);
+        this.saveData(data);
+        this.syncSettings();
+        return { success: true, summary: summary };
+    }
+
+    // Export all activities as CSV (oldest first), one column per stat
+    exportActivitiesCsv() {
+        const statNames = window.statRegistry.getAllKeys();
+        const header = ['id', 'date', 'name', ...statNames, 'notes'];
+        const rows = this.getAllActivities().slice().reverse().map(activity => [
+            activity.id,
+            new Date(activity.date).toISOString(),
+            activity.name,
+            ...statNames.map(stat => activity.stats[stat] || 0),
+            activity.notes || ''
+        ]);
+        return window.csvConverter.stringify([header, ...rows]);
+    }
+
+    // Find which CSV column holds each field. Stat columns match by name
+    // ("physical", "Physical points", ...), ignoring case.
+    mapCsvColumns(header) {
+        const normalized = header.map(column => column.trim().toLowerCase());
+        const find = (...names) => normalized.findIndex(column => names.includes(column));
+
+        const columns = {
+            id: find('id'),
+            date: find('date', 'datetime', 'timestamp'),
+            name: find('name', 'activity', 'activity name'),
+            notes: find('notes', 'note'),
+            stats: {}
+        };
+
+        window.statRegistry.getAllKeys().forEach(stat => {
+            const index = normalized.findIndex(column => column === stat || column.startsWith(`${stat} `));
+            if (index !== -1) {
+                columns.stats[stat] = index;
+            }
+        });
+
+        return columns;
+    }
+
+    // Parse and check a CSV file of activities without importing it.
+    // Bad rows are reported with their line number instead of failing the file.
+    parseActivitiesCsv(csvText) {
+        const result = { activities: [], duplicates: [], errors: [] };
+        let rows;
+
+        try {
+            rows = window.csvConverter.parse(csvText);
+        } catch (error) {
+            result.errors.push({ line: null, message: error.message });
+            return result;
+        }
+
+        if (rows.length < 2) {
+            result.errors.push({ line: null, message: 'File has no activity rows.' });
+            return result;
+        }
+
+        const columns = this.mapCsvColumns(rows[0].values);
+        if (columns.name === -1 || columns.date === -1) {
+            result.errors.push({ line: rows[0].line, message: 'Header must include "name" and "date" columns.' });
+            return result;
+        }
+        if (Object.keys(columns.stats).length === 0) {
+            const expected = window.statRegistry.getAllKeys().join(', ');
+            result.errors.push({ line: rows[0].line, message: `Header has no stat columns (expected ${expected}).` });
+            return result;
+        }
+
+        const existing = new Map(this.getAllActivities().map(activity => [activity.id, activity]));
+        const seenIds = new Set();
+
+        rows.slice(1).forEach(row => {
+            const cell = (index) => (index === -1 ? '' : (row.values[index] || '').trim());
+            const problems = [];
+
+            const stats = {};
+            Object.entries(columns.stats).forEach(([stat, index]) => {
+                const value = cell(index);
+                if (value === '') return;
+                if (!/^\d+$/.test(value)) {
+                    problems.push(`${stat} "${value}" is not a whole number`);
+                    return;
+                }
+                if (Number(value) > 0) {
+                    stats[stat] = Number(value);
+                }
+            });
+
+            const rawId = cell(columns.id);
+            const id = rawId === '' ? null : rawId;
+            const date = new Date(cell(columns.date));
+
+            const activity = {
+                id: id,
+                name: cell(columns.name),
+                stats: stats,
+                notes: cell(columns.notes),
+                date: isNaN(date.getTime()) ? cell(columns.date) : date.toISOString(),
+                dateString: isNaN(date.getTime()) ? '' : date.toLocaleDateString()
+            };
+
+            problems.push(...this.validateActivity({ ...activity, id: id === null ? 'new' : id }));
+            if (id !== null && seenIds.has(id)) {
+                problems.push(`id ${id} appears more than once in the file`);
+            }
+
+            if (problems.length > 0) {
+                result.errors.push({ line: row.line, message: problems.join('; ') });
+                return;
+            }
+
+            if (id !== null) {
+                seenIds.add(id);
+                const local = existing.get(id);
+                if (local && this.activitiesMatch(local, activity)) {
+                    result.duplicates.push(activity);
+                    return;
+                }
+                if (local) {
+                    result.errors.push({ line: row.line, message: `id ${id} is already used by "${local.name}" with different content` });
+                    return;
+                }
+            } else {
+                activity.id = this.generateId();
+            }
+
+            result.activities.push(activity);
+        });
+
+        return result;
+    }
+
+    // Import the valid rows of a CSV file. Returns counts and row errors.
+    importActivitiesCsv(csvText) {
+        const result = this.parseActivitiesCsv(csvText);
+
+        if (result.activities.length > 0) {
+            const data = this.loadData();
+            this.appendEvents(data, result.activities
+                .slice()
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .map(activity => ({ type: 'activity_added', date: activity.date, activity: activity })));
+            this.reconcileDeclineRefunds(data);
+            this.saveData(data);
+        }
+
+        return {
+            imported: result.activities.length,
+            duplicates: result.duplicates.length,
+            errors: result.errors
+        };
     }
 
     // Clear all data (reset)
     clearAllData() {
         try {
-            localStorage.removeItem(this.storageKey);
+            this.cache = null;
+            this.syncSettings();
+            this.pendingWrite = this.pendingWrite
+                .then(() => this.adapter.clear())
+                .catch(error => console.error(`Error clearing ${this.adapter.name}:`, error));
             return true;
         } catch (error) {
             console.error('Error clearing data:', error);
@@ -196,15 +1083,16 @@ class DataStorage {
 
     // Get data summary for display
     getDataSummary() {
-        const data = this.loadData();
-        const totalPoints = Object.values(data.stats).reduce((sum, value) => sum + value, 0);
+        const stats = this.getStats();
+        const [latest] = this.getActivities(1);
+        const totalPoints = Object.values(stats).reduce((sum, value) => sum + value, 0);
         
         return {
-            totalActivities: data.activities.length,
+            totalActivities: this.cache && Array.isArray(this.cache.activities) ? this.cache.activities.length : 0,
             totalPoints: totalPoints,
-            createdDate: data.settings.createdDate,
-            lastActivity: data.activities.length > 0 ? data.activities[0].date : null,
-            highestStat: this.getHighestStat(data.stats)
+            createdDate: this.readSection('settings').createdDate,
+            lastActivity: latest ? latest.date : null,
+            highestStat: this.getHighestStat(stats)
         };
     }
 
@@ -219,18 +1107,11 @@ class DataStorage {
         return highest;
     }
 
-    // Get stats for a specific date range
-    getStatsForDateRange(startDate, endDate) {
-        const data = this.loadData();
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        const filteredActivities = data.activities.filter(activity => {
-            const activityDate = new Date(activity.date);
-            return activityDate >= start && activityDate <= end;
-        });
+    // Get stats for a specific date range (resolves with the date-indexed query)
+    async getStatsForDateRange(startDate, endDate) {
+        const filteredActivities = await this.queryActivities({ from: startDate, to: endDate });
 
-        const rangeStats = { ...this.defaultData.stats };
+        const rangeStats = window.statRegistry.createStatMap(0);
         filteredActivities.forEach(activity => {
             Object.keys(activity.stats).forEach(stat => {
                 if (activity.stats[stat] > 0) {
@@ -246,51 +1127,603 @@ class DataStorage {
         };
     }
 
-    // Apply decline to stats based on inactivity
-    applyDecline(data) {
+    // Suggest past activity names matching the typed text. Each suggestion
+    // carries the point allocation most often given to that activity
+    // (ties go to the most recent one). Prefix matches come first, then
+    // the most frequently logged.
+    getActivitySuggestions(query, limit = 8) {
+        const search = query.trim().toLowerCase();
+        if (!search) {
+            return [];
+        }
+
+        const groups = new Map();
+        // Activities are newest first, so the first spelling seen is the latest
+        this.getAllActivities().forEach(activity => {
+            const key = activity.name.trim().toLowerCase();
+            if (!key.includes(search)) {
+                return;
+            }
+
+            if (!groups.has(key)) {
+                groups.set(key, { name: activity.name.trim(), count: 0, allocations: new Map() });
+            }
+            const group = groups.get(key);
+            group.count++;
+
+            const stats = {};
+            Object.keys(activity.stats).sort().forEach(stat => {
+                if (activity.stats[stat] > 0) {
+                    stats[stat] = activity.stats[stat];
+                }
+            });
+            const allocationKey = JSON.stringify(stats);
+            const allocation = group.allocations.get(allocationKey) || { stats: stats, count: 0 };
+            allocation.count++;
+            group.allocations.set(allocationKey, allocation);
+        });
+
+        return Array.from(groups.entries())
+            .map(([key, group]) => {
+                // Map keeps insertion order, so on a tie the most recent allocation wins
+                let best = null;
+                group.allocations.forEach(allocation => {
+                    if (!best || allocation.count > best.count) {
+                        best = allocation;
+                    }
+                });
+
+                return {
+                    name: group.name,
+                    count: group.count,
+                    stats: best.stats,
+                    isPrefix: key.startsWith(search)
+                };
+            })
+            .sort((a, b) => (b.isPrefix - a.isPrefix) || (b.count - a.count) || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map(({ isPrefix, ...suggestion }) => suggestion);
+    }
+
+    // Reconstruct stat totals at each of the given dates from the activity
+    // and decline history. Activities count from their own date, so edited or
+    // backdated activities are placed where they belong. Each decline charge is
+    // spread one day at a time after its fromDate, net of any refunds.
+    // Returns one stats object per date, in the order given.
+    getStatsHistory(dates) {
+        const data = this.loadData();
+        const declineRate = data.settings.declineSettings.declineRate;
+        const refunds = this.getRefundsByDecline(data.events);
+        const changes = [];
+
+        data.activities.forEach(activity => {
+            changes.push({ time: new Date(activity.date).getTime(), stats: activity.stats });
+        });
+
+        data.events.forEach(event => {
+            if (event.type === 'decline_applied') {
+                let remaining = event.points - (refunds[event.seq] || 0);
+                const start = new Date(event.fromDate).getTime();
+                for (let day = 1; day <= event.days && remaining > 0; day++) {
+                    const points = Math.min(declineRate, remaining);
+                    changes.push({ time: start + day * DAY_MS, stats: { [event.stat]: -points } });
+                    remaining -= points;
+                }
+            } else if (event.type === 'manual_adjustment') {
+                changes.push({ time: new Date(event.date).getTime(), stats: { [event.stat]: event.points } });
+            }
+        });
+
+        changes.sort((a, b) => a.time - b.time);
+
+        // Fold the changes once, sampling the totals at each requested date
+        const samples = dates
+            .map((date, index) => ({ time: new Date(date).getTime(), index: index }))
+            .sort((a, b) => a.time - b.time);
+        const results = new Array(dates.length);
+        const stats = window.statRegistry.createStatMap(0);
+        let next = 0;
+
+        samples.forEach(sample => {
+            while (next < changes.length && changes[next].time <= sample.time) {
+                Object.entries(changes[next].stats).forEach(([stat, points]) => {
+                    stats[stat] = Math.max(0, (stats[stat] || 0) + points);
+                });
+                next++;
+            }
+            results[sample.index] = { ...stats };
+        });
+
+        return results;
+    }
+
+    // Stat totals as they were at a past date
+    getStatsAsOf(date) {
+        return this.getStatsHistory([date])[0];
+    }
+
+    // Get saved activity templates
+    getTemplates() {
+        return this.readSection('templates');
+    }
+
+    // Save a reusable activity template; names must be unique
+    addTemplate(templateData) {
+        const data = this.loadData();
+        const name = templateData.name.trim();
+
+        if (data.templates.some(template => template.name.toLowerCase() === name.toLowerCase())) {
+            return null;
+        }
+
+        const template = {
+            id: this.generateId(),
+            name: name,
+            stats: { ...templateData.stats },
+            notes: templateData.notes || '',
+            createdDate: new Date().toISOString()
+        };
+
+        data.templates.push(template);
+        this.saveData(data);
+        return template;
+    }
+
+    // Save an existing activity's name, points and notes as a template
+    createTemplateFromActivity(activityId) {
+        const activity = this.getAllActivities().find(act => act.id === String(activityId));
+        if (!activity) {
+            return null;
+        }
+
+        return this.addTemplate({ name: activity.name, stats: activity.stats, notes: activity.notes });
+    }
+
+    // Delete a template (activities logged from it are kept)
+    deleteTemplate(templateId) {
+        const data = this.loadData();
+        const templateIndex = data.templates.findIndex(template => template.id === templateId);
+
+        if (templateIndex === -1) {
+            return false;
+        }
+
+        data.templates.splice(templateIndex, 1);
+        return this.saveData(data);
+    }
+
+    // Log an activity from a template in one step
+    logTemplate(templateId) {
+        const template = this.getTemplates().find(t => t.id === templateId);
+        if (!template) {
+            return null;
+        }
+
+        return this.addActivity({ name: template.name, stats: template.stats, notes: template.notes });
+    }
+
+    // Get recurring habits (archived ones are kept for their history)
+    getHabits(includeArchived = false) {
+        const habits = this.readSection('habits');
+        return includeArchived ? habits : habits.filter(habit => !habit.archivedDate);
+    }
+
+    // Create a recurring habit. schedule is { type: 'daily' },
+    // { type: 'weekdays', days: [0-6, Sunday = 0] } or { type: 'weekly', timesPerWeek: 1-7 }.
+    addHabit(habitData) {
+        const data = this.loadData();
+        const schedule = { type: habitData.schedule.type };
+
+        if (schedule.type === 'weekdays') {
+            schedule.days = [...new Set(habitData.schedule.days)].sort();
+        } else if (schedule.type === 'weekly') {
+            schedule.timesPerWeek = habitData.schedule.timesPerWeek;
+        }
+
+        const habit = {
+            id: this.generateId(),
+            name: habitData.name.trim(),
+            stats: { ...habitData.stats },
+            notes: habitData.notes || '',
+            schedule: schedule,
+            createdDate: new Date().toISOString(),
+            archivedDate: null
+        };
+
+        data.habits.push(habit);
+        this.saveData(data);
+        return habit;
+    }
+
+    // Stop tracking a habit; its completions and missed days stay on record
+    archiveHabit(habitId) {
+        const data = this.loadData();
+        const habit = data.habits.find(h => h.id === habitId);
+
+        if (!habit || habit.archivedDate) {
+            return false;
+        }
+
+        habit.archivedDate = new Date().toISOString();
+        return this.saveData(data);
+    }
+
+    // Get confidants (archived ones are kept for their history)
+    getConfidants(includeArchived = false) {
+        const confidants = this.readSection('confidants');
+        return includeArchived ? confidants : confidants.filter(confidant => !confidant.archivedDate);
+    }
+
+    // Add a confidant; names must be unique among active confidants
+    addConfidant(confidantData) {
+        const data = this.loadData();
+        const name = confidantData.name.trim();
+
+        if (data.confidants.some(confidant => !confidant.archivedDate && confidant.name.toLowerCase() === name.toLowerCase())) {
+            return null;
+        }
+
+        const confidant = {
+            id: this.generateId(),
+            name: name,
+            relationship: confidantData.relationship,
+            createdDate: new Date().toISOString(),
+            archivedDate: null
+        };
+
+        data.confidants.push(confidant);
+        this.saveData(data);
+        return confidant;
+    }
+
+    // Stop offering a confidant for tagging; past activities keep their tags
+    archiveConfidant(confidantId) {
+        const data = this.loadData();
+        const confidant = data.confidants.find(c => c.id === confidantId);
+
+        if (!confidant || confidant.archivedDate) {
+            return false;
+        }
+
+        confidant.archivedDate = new Date().toISOString();
+        return this.saveData(data);
+    }
+
+    // Get unlocked achievements, oldest first
+    getAchievements() {
+        return this.readSection('achievements');
+    }
+
+    // Record achievements as unlocked. Returns the new records.
+    unlockAchievements(ids, date = new Date()) {
+        const data = this.loadData();
+        const records = ids
+            .filter(id => !data.achievements.some(record => record.id === id))
+            .map(id => ({ id: id, unlockedDate: date.toISOString() }));
+
+        if (records.length === 0) {
+            return [];
+        }
+
+        data.achievements.push(...records);
+        return this.saveData(data) ? records : [];
+    }
+
+    // Get the stat definitions (including archived stats), in star order
+    getStatDefinitions() {
+        return this.readSection('settings').stats;
+    }
+
+    // Save a new stat list: renamed, recolored, reordered, archived or added
+    // stats. Returns { success, error }.
+    updateStatDefinitions(definitions) {
+        const problems = window.statRegistry.validateDefinitions(definitions);
+        if (problems.length > 0) {
+            return { success: false, error: problems[0] };
+        }
+
+        const data = this.loadData();
+        const previous = data.settings.stats;
+        if (previous.some(stat => !definitions.some(updated => updated.key === stat.key))) {
+            return { success: false, error: 'Stats can be archived but not removed.' };
+        }
+
+        const now = new Date().toISOString();
+        definitions.forEach(stat => {
+            const before = previous.find(existing => existing.key === stat.key);
+            // A restored stat isn't charged decline for the time it was archived
+            if (before && before.archived && !stat.archived) {
+                data.declinedThrough[stat.key] = now;
+            }
+            if (!(stat.key in data.stats)) {
+                data.stats[stat.key] = 0;
+            }
+        });
+
+        data.settings.stats = definitions.map(({ key, name, color, archived }) => ({
+            key: key,
+            name: name.trim(),
+            color: color,
+            archived: Boolean(archived)
+        }));
+
+        if (!this.saveData(data)) {
+            return { success: false, error: 'Could not save the stat settings.' };
+        }
+        this.syncSettings();
+        return { success: true };
+    }
+
+    // Get edited title ladders, keyed by stat (other stats use the built-in ones)
+    getTitleLadders() {
+        return this.readSection('settings').titles;
+    }
+
+    // Save a stat's title ladder, or pass null to go back to the built-in one.
+    // Returns { success, error }.
+    updateTitleLadder(stat, titles) {
+        if (!window.statRegistry.has(stat)) {
+            return { success: false, error: `Unknown stat "${stat}".` };
+        }
+
+        const data = this.loadData();
+        if (titles === null) {
+            delete data.settings.titles[stat];
+        } else {
+            const problems = window.titleSystem.validateTitles(titles);
+            if (problems.length > 0) {
+                return { success: false, error: problems[0] };
+            }
+            // JSON has no Infinity, so the top tier is saved with max: null
+            data.settings.titles[stat] = titles.map((t, tier) => ({
+                min: t.min,
+                max: t.max === Infinity ? null : t.max,
+                title: t.title.trim(),
+                tier: tier
+            }));
+        }
+
+        if (!this.saveData(data)) {
+            return { success: false, error: 'Could not save the titles.' };
+        }
+        this.syncSettings();
+        return { success: true };
+    }
+
+    // Get the XP curve for the character level
+    getLevelCurve() {
+        return this.readSection('settings').levelCurve;
+    }
+
+    // Save a new XP curve. Returns { success, error }.
+    updateLevelCurve(curve) {
+        const problems = window.levelSystem.validateCurve(curve);
+        if (problems.length > 0) {
+            return { success: false, error: problems[0] };
+        }
+
+        const data = this.loadData();
+        data.settings.levelCurve = {
+            type: curve.type,
+            base: curve.type === 'custom' ? data.settings.levelCurve.base : curve.base,
+            table: curve.type === 'custom' ? [...curve.table] : data.settings.levelCurve.table
+        };
+
+        if (!this.saveData(data)) {
+            return { success: false, error: 'Could not save the XP curve.' };
+        }
+        this.syncSettings();
+        return { success: true };
+    }
+
+    // Point the shared stat registry, title and level systems at the saved settings.
+    // Settings that don't pass their checks fall back to the defaults, so bad
+    // saved data can't stop the app from starting.
+    syncSettings() {
+        const settings = this.readSection('settings');
+        const defaults = this.defaultData.settings;
+
+        const statsValid = Array.isArray(settings.stats) &&
+            settings.stats.every(stat => stat && typeof stat === 'object') &&
+            window.statRegistry.validateDefinitions(settings.stats).length === 0;
+        if (!statsValid) {
+            console.warn('Saved stat list is invalid; using the default stats.');
+        }
+
+        const curveValid = window.levelSystem.validateCurve(settings.levelCurve).length === 0 &&
+            Array.isArray(settings.levelCurve.table);
+        if (!curveValid) {
+            console.warn('Saved XP curve is invalid; using the default curve.');
+        }
+
+        window.statRegistry.setDefinitions(statsValid ? settings.stats : defaults.stats);
+        window.titleSystem.setCustomTitles(settings.titles);
+        window.levelSystem.setCurve(curveValid ? settings.levelCurve : defaults.levelCurve);
+    }
+
+    // Filter, search and page through the full activity history (newest first).
+    // stat limits results to activities with points in that stat, and minPoints
+    // applies to that stat (or to the activity's total when no stat is chosen).
+    // Dates and the stat are looked up through the storage indexes.
+    async searchActivities({ stat = null, from = null, to = null, minPoints = 0, text = '', page = 1, pageSize = 20 } = {}) {
+        const source = await this.queryActivities({ from: from, to: to, stat: stat });
+
+        const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const matches = source.filter(activity => {
+            const points = stat
+                ? activity.stats[stat] || 0
+                : Object.values(activity.stats).reduce((sum, value) => sum + value, 0);
+
+            if (stat && points === 0) return false;
+            if (points < minPoints) return false;
+
+            if (terms.length > 0) {
+                const haystack = `${activity.name}\n${activity.notes || ''}`.toLowerCase();
+                if (!terms.every(term => haystack.includes(term))) return false;
+            }
+
+            return true;
+        });
+
+        const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), totalPages);
+        const start = (currentPage - 1) * pageSize;
+
+        return {
+            activities: matches.slice(start, start + pageSize),
+            total: matches.length,
+            page: currentPage,
+            totalPages: totalPages
+        };
+    }
+
+    // Apply decline to stats based on inactivity.
+    // Each day of inactivity is charged once: the declinedThrough watermark
+    // records how far decline has been charged, and every charge is written
+    // to the event log as a decline_applied entry.
+    applyDecline(data, now = new Date()) {
         if (!data.settings.declineSettings.enabled) {
-            return { declined: false };
+            return { declined: false, watermarksChanged: false };
         }
 
-        const now = new Date();
         const inactivityThreshold = data.settings.declineSettings.inactivityDays;
         const declineRate = data.settings.declineSettings.declineRate;
         const declineResults = {};
         let totalDeclined = 0;
+        let watermarksChanged = false;
 
         Object.keys(data.stats).forEach(stat => {
             const lastActivityDate = data.lastActivity[stat];
             
-            if (!lastActivityDate || data.stats[stat] <= 0) {
+            // Archived stats keep their points until they are restored
+            if (!lastActivityDate || window.statRegistry.isArchived(stat)) {
                 declineResults[stat] = { declined: 0, daysSinceActivity: 0 };
                 return;
             }
 
             const lastActivity = new Date(lastActivityDate);
-            const daysSinceActivity = Math.floor((now - lastActivity) / (1000 * 60 * 60 * 24));
-            
-            if (daysSinceActivity > inactivityThreshold) {
-                const daysOfDecline = daysSinceActivity - inactivityThreshold;
-                const pointsToDecline = Math.min(daysOfDecline * declineRate, data.stats[stat]);
-                
-                data.stats[stat] = Math.max(0, data.stats[stat] - pointsToDecline);
-                declineResults[stat] = { 
-                    declined: pointsToDecline, 
-                    daysSinceActivity: daysSinceActivity 
-                };
-                totalDeclined += pointsToDecline;
-            } else {
+            const daysSinceActivity = Math.floor((now - lastActivity) / DAY_MS);
+
+            // Decline starts after the grace period, or where the last charge ended
+            const graceEnd = lastActivity.getTime() + inactivityThreshold * DAY_MS;
+            const watermark = data.declinedThrough[stat] ? new Date(data.declinedThrough[stat]).getTime() : 0;
+            const chargedThrough = Math.max(graceEnd, watermark);
+            const daysOfDecline = Math.floor((now.getTime() - chargedThrough) / DAY_MS);
+
+            if (daysOfDecline <= 0) {
                 declineResults[stat] = { declined: 0, daysSinceActivity: daysSinceActivity };
+                return;
             }
+
+            const fromDate = new Date(chargedThrough).toISOString();
+            const throughDate = new Date(chargedThrough + daysOfDecline * DAY_MS).toISOString();
+            const pointsToDecline = Math.min(daysOfDecline * declineRate, Math.max(0, data.stats[stat]));
+
+            // Advance the watermark even when there is nothing left to lose
+            data.declinedThrough[stat] = throughDate;
+            watermarksChanged = true;
+
+            if (pointsToDecline > 0) {
+                this.appendEvent(data, {
+                    type: 'decline_applied',
+                    date: now.toISOString(),
+                    stat: stat,
+                    points: pointsToDecline,
+                    days: daysOfDecline,
+                    fromDate: fromDate,
+                    throughDate: throughDate
+                });
+            }
+
+            declineResults[stat] = { 
+                declined: pointsToDecline, 
+                daysSinceActivity: daysSinceActivity 
+            };
+            totalDeclined += pointsToDecline;
         });
 
         return {
             declined: totalDeclined > 0,
             totalPointsDeclined: totalDeclined,
-            statDeclines: declineResults
+            statDeclines: declineResults,
+            watermarksChanged: watermarksChanged
         };
     }
 
+    // Decline is charged from the activities known at the time. A backdated
+    // or re-dated activity restarts the grace period from its real date, so
+    // charged days inside any live activity's grace period are refunded, and
+    // refunds whose activity was moved or deleted are charged again.
+    reconcileDeclineRefunds(data) {
+        const { inactivityDays, declineRate } = data.settings.declineSettings;
+        const graceMs = inactivityDays * DAY_MS;
+        const refundedBySeq = this.getRefundsByDecline(data.events);
+        const declines = data.events.filter(event => event.type === 'decline_applied');
+
+        declines.forEach(decline => {
+            const from = new Date(decline.fromDate).getTime();
+            const through = new Date(decline.throughDate).getTime();
+            const activityTimes = data.activities
+                .filter(activity => activity.stats[decline.stat] > 0)
+                .map(activity => new Date(activity.date).getTime())
+                .filter(time => time < through && time + graceMs > from);
+
+            // Count charged days that end inside some activity's grace period
+            let days = 0;
+            for (let day = 1; day <= decline.days; day++) {
+                const dayEnd = from + day * DAY_MS;
+                if (activityTimes.some(time => dayEnd > time && dayEnd <= time + graceMs)) {
+                    days++;
+                }
+            }
+
+            const refund = Math.min(days * declineRate, decline.points);
+            const difference = refund - (refundedBySeq[decline.seq] || 0);
+            if (difference !== 0) {
+                this.appendEvent(data, {
+                    type: 'decline_refunded',
+                    date: new Date().toISOString(),
+                    stat: decline.stat,
+                    points: difference,
+                    days: days,
+                    declineSeq: decline.seq
+                });
+            }
+        });
+    }
+
+    // Total points refunded so far for each decline event, keyed by its seq
+    getRefundsByDecline(events) {
+        const refunds = {};
+        events
+            .filter(event => event.type === 'decline_refunded')
+            .forEach(event => {
+                refunds[event.declineSeq] = (refunds[event.declineSeq] || 0) + event.points;
+            });
+        return refunds;
+    }
+
+    // Get decline ledger entries (newest first)
+    getDeclineHistory(limit = Infinity) {
+        const events = this.readSection('events');
+        const refunds = this.getRefundsByDecline(events);
+        return events
+            .filter(event => event.type === 'decline_applied')
+            .reverse()
+            .slice(0, limit)
+            .map(event => ({
+                id: `decline-${event.seq}`,
+                stat: event.stat,
+                date: event.date,
+                fromDate: event.fromDate,
+                throughDate: event.throughDate,
+                days: event.days,
+                points: event.points,
+                refunded: refunds[event.seq] || 0
+            }));
+    }
+
     // Get decline status for UI display
     getDeclineStatus() {
         const data = this.loadData();
@@ -313,7 +1746,7 @@ class DataStorage {
             }
 
             const lastActivity = new Date(lastActivityDate);
-            const daysSinceActivity = Math.floor((now - lastActivity) / (1000 * 60 * 60 * 24));
+            const daysSinceActivity = Math.floor((now - lastActivity) / DAY_MS);
             const daysUntilDecline = Math.max(0, inactivityThreshold - daysSinceActivity);
             
             status[stat] = {
@@ -342,7 +1775,7 @@ class DataStorage {
         const data = this.loadData();
         const declineResult = this.applyDecline(data);
         
-        if (declineResult.declined) {
+        if (declineResult.watermarksChanged) {
             this.saveData(data);
         }
         
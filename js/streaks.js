@@ -0,0 +1,103 @@
+// Streak Tracking
+// A streak is a run of consecutive local calendar days with points. Today
+// only extends a streak: a streak stays current until a whole day passes
+// without activity. Calendar helpers come from the habit tracker so both
+// agree on where a day starts.
+class StreakTracker {
+    // Current and longest run of consecutive days in a set of day keys
+    computeStreak(dayKeys, now = new Date()) {
+        const calendar = window.habitTracker;
+        const days = [...new Set(dayKeys)].sort();
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+
+        days.forEach(key => {
+            const day = new Date(`${key}T00:00:00`);
+            run = previous && calendar.dayKey(calendar.addDays(previous, 1)) === key ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        });
+
+        // The last run is still going if it reaches today or yesterday
+        const today = calendar.startOfDay(now);
+        const lastDay = days[days.length - 1] || null;
+        const isCurrent = lastDay === calendar.dayKey(today) ||
+            lastDay === calendar.dayKey(calendar.addDays(today, -1));
+
+        return { current: isCurrent ? run : 0, longest: longest, lastDay: lastDay };
+    }
+
+    // Streaks for each stat: days with at least one point in that stat
+    getStatStreaks(now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        const streaks = {};
+        window.statRegistry.getKeys().forEach(stat => {
+            const days = activities
+                .filter(activity => activity.stats[stat] > 0)
+                .map(activity => window.habitTracker.dayKey(activity.date));
+            streaks[stat] = this.computeStreak(days, now);
+        });
+        return streaks;
+    }
+
+    // Streaks for activity names logged on more than one day, longest current first
+    getActivityStreaks(now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        const daysByName = new Map();
+        // Activities are newest first, so the first spelling seen is the latest
+        activities.forEach(activity => {
+            const key = activity.name.trim().toLowerCase();
+            if (!daysByName.has(key)) {
+                daysByName.set(key, { name: activity.name.trim(), days: new Set() });
+            }
+            daysByName.get(key).days.add(window.habitTracker.dayKey(activity.date));
+        });
+
+        return Array.from(daysByName.values())
+            .filter(entry => entry.days.size > 1)
+            .map(entry => ({ name: entry.name, ...this.computeStreak([...entry.days], now) }))
+            .sort((a, b) => (b.current - a.current) || (b.longest - a.longest) || a.name.localeCompare(b.name));
+    }
+
+    // Streak of a habit counted in its own scheduled occurrences: days it was
+    // due for daily and weekday habits, weeks for N-times-per-week habits.
+    // Today (or this week) only counts once it has been completed.
+    getHabitStreak(habit, now = new Date(), activities = window.dataStorage.getAllActivities()) {
+        const calendar = window.habitTracker;
+        const completions = calendar.getCompletionsByDay(habit, activities);
+        const today = calendar.startOfDay(now);
+        const periods = [];
+
+        if (habit.schedule.type === 'weekly') {
+            for (let weekStart = calendar.startOfWeek(habit.createdDate); weekStart <= today; weekStart = calendar.addDays(weekStart, 7)) {
+                const progress = calendar.getWeekProgress(habit, weekStart, completions);
+                if (progress.target > 0) {
+                    periods.push({ met: progress.done >= progress.target, isCurrent: calendar.addDays(weekStart, 7) > today });
+                }
+            }
+        } else {
+            for (let day = calendar.startOfDay(habit.createdDate); day <= today; day = calendar.addDays(day, 1)) {
+                if (calendar.isScheduledOn(habit, day)) {
+                    periods.push({ met: completions.has(calendar.dayKey(day)), isCurrent: day.getTime() === today.getTime() });
+                }
+            }
+        }
+
+        // An unfinished current period doesn't break the streak yet
+        const lastPeriod = periods[periods.length - 1];
+        if (lastPeriod && lastPeriod.isCurrent && !lastPeriod.met) {
+            periods.pop();
+        }
+
+        let longest = 0;
+        let run = 0;
+        periods.forEach(period => {
+            run = period.met ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        });
+
+        return { current: run, longest: longest, unit: habit.schedule.type === 'weekly' ? 'week' : 'day' };
+    }
+}
+
+// Create global instance
+window.streakTracker = new StreakTracker();
@@ -0,0 +1,142 @@
+// Timeline Playback
+// Replays the stats star from the first recorded activity to today. Stats
+// are sampled at the end of each local day; frames in between tween the star
+// points from one day's snapshot to the next.
+class TimelinePlayback {
+    constructor(star) {
+        this.star = star;
+        this.days = []; // End of each day in the timeline
+        this.snapshots = []; // Stats at the end of each day
+        this.frames = []; // Star points for each day, all on one scale
+
+        this.position = 0; // Fractional day index
+        this.speed = 7; // Days per second
+        this.playing = false;
+        this.animationFrame = null;
+        this.lastTimestamp = null;
+
+        // Called with (dayIndex, date, stats) whenever the star is redrawn
+        this.onFrame = null;
+        // Called when playback pauses on its own at the end
+        this.onFinish = null;
+    }
+
+    // Build daily snapshots. Returns the number of days, or 0 with no history.
+    load(now = new Date()) {
+        const calendar = window.habitTracker;
+        const activities = window.dataStorage.getAllActivities();
+        this.days = [];
+
+        if (activities.length === 0) {
+            this.snapshots = [];
+            this.frames = [];
+            return 0;
+        }
+
+        // Activities are newest first, so the last one is the earliest
+        const firstDay = calendar.startOfDay(activities[activities.length - 1].date);
+        const today = calendar.startOfDay(now);
+        for (let day = firstDay; day <= today; day = calendar.addDays(day, 1)) {
+            this.days.push(new Date(calendar.addDays(day, 1).getTime() - 1));
+        }
+        // Today's frame shows the stats as they are now
+        this.days[this.days.length - 1] = now;
+
+        this.snapshots = window.dataStorage.getStatsHistory(this.days);
+
+        // Scale every frame to the biggest stat ever reached so growth is visible
+        const scaleMax = Math.max(...this.snapshots.map(stats => this.star.getMaxStatValue(stats)));
+        this.frames = this.snapshots.map(stats => this.star.calculateStarPoints(stats, scaleMax));
+
+        this.position = 0;
+        return this.days.length;
+    }
+
+    // Start or resume playback (from the beginning if already at the end)
+    play() {
+        if (this.frames.length === 0) {
+            return;
+        }
+        if (this.position >= this.frames.length - 1) {
+            this.position = 0;
+        }
+
+        this.playing = true;
+        this.lastTimestamp = null;
+        this.animationFrame = requestAnimationFrame(timestamp => this.step(timestamp));
+    }
+
+    // Pause on the current frame
+    pause() {
+        this.playing = false;
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    // Stop playback and forget the snapshots
+    stop() {
+        this.pause();
+        this.days = [];
+        this.snapshots = [];
+        this.frames = [];
+        this.position = 0;
+    }
+
+    // Jump to a (fractional) day index
+    seek(position) {
+        this.position = Math.min(Math.max(position, 0), Math.max(this.frames.length - 1, 0));
+        this.render();
+    }
+
+    // Playback speed in days per second
+    setSpeed(daysPerSecond) {
+        this.speed = daysPerSecond;
+    }
+
+    // Advance by the time elapsed since the last animation frame
+    step(timestamp) {
+        if (!this.playing) {
+            return;
+        }
+
+        if (this.lastTimestamp !== null) {
+            this.position += ((timestamp - this.lastTimestamp) / 1000) * this.speed;
+        }
+        this.lastTimestamp = timestamp;
+
+        const lastIndex = this.frames.length - 1;
+        if (this.position >= lastIndex) {
+            this.position = lastIndex;
+            this.render();
+            this.pause();
+            if (this.onFinish) {
+                this.onFinish();
+            }
+            return;
+        }
+
+        this.render();
+        this.animationFrame = requestAnimationFrame(nextTimestamp => this.step(nextTimestamp));
+    }
+
+    // Draw the star at the current position, tweening between days
+    render() {
+        if (this.frames.length === 0) {
+            return;
+        }
+
+        const index = Math.floor(this.position);
+        const nextIndex = Math.min(index + 1, this.frames.length - 1);
+        const points = this.star.interpolatePoints(this.frames[index], this.frames[nextIndex], this.position - index);
+        this.star.drawStarFrame(points);
+
+        if (this.onFrame) {
+            this.onFrame(index, this.days[index], this.snapshots[index]);
+        }
+    }
+}
+
+// Create global instance
+window.timelinePlayback = new TimelinePlayback(window.starVisualization);
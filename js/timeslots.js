@@ -0,0 +1,103 @@
+// Time of Day
+// Each day is split into four slots, like Persona's Daytime/Evening. An
+// activity gets the slot its time falls in unless one was picked by hand;
+// activities saved before slots existed fall back to the slot of their time.
+// Late Night runs past midnight, but an activity at 1am still belongs to the
+// calendar day it was logged on, matching the heatmap and streaks.
+class TimeSlots {
+    constructor() {
+        // In day order; each slot runs from its start hour to the next slot's
+        this.slots = [
+            { key: 'morning', name: 'Morning', start: 5 },
+            { key: 'daytime', name: 'Daytime', start: 12 },
+            { key: 'evening', name: 'Evening', start: 17 },
+            { key: 'lateNight', name: 'Late Night', start: 22 }
+        ];
+    }
+
+    getKeys() {
+        return this.slots.map(slot => slot.key);
+    }
+
+    has(key) {
+        return this.slots.some(slot => slot.key === key);
+    }
+
+    // Display name for a slot
+    getName(key) {
+        const slot = this.slots.find(s => s.key === key);
+        return slot ? slot.name : key;
+    }
+
+    // Slot a local time falls in (before 5am is still Late Night)
+    getSlotForDate(date) {
+        const hour = new Date(date).getHours();
+        const slot = [...this.slots].reverse().find(s => hour >= s.start);
+        return slot ? slot.key : this.slots[this.slots.length - 1].key;
+    }
+
+    // Slot of an activity: the one picked by hand or the one its time falls in
+    getSlot(activity) {
+        return this.has(activity.timeSlot) ? activity.timeSlot : this.getSlotForDate(activity.date);
+    }
+
+    // Hours covered by a slot, e.g. "5:00-12:00"
+    describeHours(key) {
+        const index = this.slots.findIndex(slot => slot.key === key);
+        const next = this.slots[(index + 1) % this.slots.length];
+        return `${this.slots[index].start}:00-${next.start}:00`;
+    }
+
+    // The weeks of a month (Monday first) with each day's activities sorted
+    // into slots. Days outside the month are null. Activities from other
+    // months are ignored, so a query for just the month is enough.
+    getMonth(monthDate, activities) {
+        const calendar = window.habitTracker;
+        const firstDay = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
+        const nextMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 1);
+
+        // Oldest first, so each slot lists its activities in the order they happened
+        const byDay = new Map();
+        [...activities].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(activity => {
+            const date = new Date(activity.date);
+            if (date >= firstDay && date < nextMonth) {
+                const key = calendar.dayKey(date);
+                if (!byDay.has(key)) {
+                    byDay.set(key, Object.fromEntries(this.getKeys().map(slot => [slot, []])));
+                }
+                byDay.get(key)[this.getSlot(activity)].push(activity);
+            }
+        });
+
+        const weeks = [];
+        for (let weekStart = calendar.startOfWeek(firstDay); weekStart < nextMonth; weekStart = calendar.addDays(weekStart, 7)) {
+            const week = [];
+            for (let i = 0; i < 7; i++) {
+                const day = calendar.addDays(weekStart, i);
+                const key = calendar.dayKey(day);
+                week.push(day.getMonth() === firstDay.getMonth() ? {
+                    date: day,
+                    key: key,
+                    slots: byDay.get(key) || Object.fromEntries(this.getKeys().map(slot => [slot, []]))
+                } : null);
+            }
+            weeks.push(week);
+        }
+
+        return weeks;
+    }
+
+    // Activities per slot across a set of days, e.g. for a month summary
+    countBySlot(days) {
+        const counts = Object.fromEntries(this.getKeys().map(slot => [slot, 0]));
+        days.forEach(day => {
+            this.getKeys().forEach(slot => {
+                counts[slot] += day.slots[slot].length;
+            });
+        });
+        return counts;
+    }
+}
+
+// Create global instance
+window.timeSlots = new TimeSlots();
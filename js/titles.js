@@ -3,7 +3,6 @@ class TitleSystem {
     constructor() {
         this.titleData = {
             physical: {
-                name: 'Physical',
                 titles: [
                     { min: 0, max: 9, title: 'Couch Potato', tier: 0 },
                     { min: 10, max: 24, title: 'Getting Started', tier: 1 },
@@ -14,7 +13,6 @@ class TitleSystem {
                 ]
             },
             mental: {
-                name: 'Mental',
                 titles: [
                     { min: 0, max: 9, title: 'Scatterbrained', tier: 0 },
                     { min: 10, max: 24, title: 'Curious', tier: 1 },
@@ -25,7 +23,6 @@ class TitleSystem {
                 ]
             },
             social: {
-                name: 'Social',
                 titles: [
                     { min: 0, max: 9, title: 'Hermit', tier: 0 },
                     { min: 10, max: 24, title: 'Shy', tier: 1 },
@@ -36,7 +33,6 @@ class TitleSystem {
                 ]
             },
             creative: {
-                name: 'Creative',
                 titles: [
                     { min: 0, max: 9, title: 'Uninspired', tier: 0 },
                     { min: 10, max: 24, title: 'Dabbler', tier: 1 },
@@ -47,7 +43,6 @@ class TitleSystem {
                 ]
             },
             productive: {
-                name: 'Productive',
                 titles: [
                     { min: 0, max: 9, title: 'Procrastinator', tier: 0 },
                     { min: 10, max: 24, title: 'Starter', tier: 1 },
@@ -59,6 +54,19 @@ class TitleSystem {
             }
         };
 
+        // Ladder for stats without their own titles (e.g. newly added stats)
+        this.defaultTitles = [
+            { min: 0, max: 9, title: 'Novice', tier: 0 },
+            { min: 10, max: 24, title: 'Apprentice', tier: 1 },
+            { min: 25, max: 49, title: 'Adept', tier: 2 },
+            { min: 50, max: 74, title: 'Expert', tier: 3 },
+            { min: 75, max: 99, title: 'Master', tier: 4 },
+            { min: 100, max: Infinity, title: 'Legend', tier: 5 }
+        ];
+
+        // Ladders edited in settings, keyed by stat; these win over the ones above
+        this.customTitles = {};
+
         this.tierColors = {
             0: '#666666', // Gray - Starting
             1: '#8B4513', // Brown - Beginner
@@ -69,28 +77,102 @@ class TitleSystem {
         };
     }
 
+    // Title ladder for a stat: the user's own if edited, else the built-in one
+    // (stats without their own get the default ladder)
+    getTitles(statName) {
+        return this.customTitles[statName] || this.getBuiltInTitles(statName);
+    }
+
+    getBuiltInTitles(statName) {
+        return this.titleData[statName]?.titles || this.defaultTitles;
+    }
+
+    // Use the ladders saved in settings. Ladders that don't pass
+    // validateTitles are skipped, so their stats keep the built-in titles.
+    setCustomTitles(ladders) {
+        this.customTitles = {};
+        if (!ladders || typeof ladders !== 'object' || Array.isArray(ladders)) {
+            return;
+        }
+
+        Object.entries(ladders).forEach(([statName, titles]) => {
+            const ladder = this.readSavedLadder(titles);
+            const problems = this.validateTitles(ladder);
+            if (problems.length > 0) {
+                console.warn(`Ignoring the saved titles for "${statName}":`, problems[0]);
+                return;
+            }
+            this.customTitles[statName] = ladder;
+        });
+    }
+
+    // A ladder as saved in settings, ready to validate or use. The open-ended
+    // top tier is saved with max: null since JSON has no Infinity.
+    readSavedLadder(titles) {
+        if (!Array.isArray(titles)) {
+            return titles;
+        }
+        return titles.map((t, tier) => (t && typeof t === 'object')
+            ? { ...t, max: t.max === null ? Infinity : t.max, tier: tier }
+            : t);
+    }
+
+    // List what is wrong with an edited ladder. It needs one title per tier,
+    // starting at 0 points, each range starting right after the previous one
+    // ends, and an open-ended top tier.
+    validateTitles(titles) {
+        const problems = [];
+        const tierCount = Object.keys(this.tierColors).length;
+
+        if (!Array.isArray(titles) || titles.length !== tierCount) {
+            return [`A title ladder needs exactly ${tierCount} tiers.`];
+        }
+        if (titles.some(t => !t || typeof t !== 'object')) {
+            return ['Every tier needs a title and a range of points.'];
+        }
+
+        titles.forEach((t, tier) => {
+            const label = `Tier ${tier}`;
+            const isTop = tier === titles.length - 1;
+
+            if (typeof t.title !== 'string' || !t.title.trim()) {
+                problems.push(`${label} needs a title.`);
+            }
+            if (!Number.isInteger(t.min) || t.min < 0) {
+                problems.push(`${label} must start at a whole number of points.`);
+            }
+            if (isTop) {
+                if (t.max !== Infinity) {
+                    problems.push(`${label} is the top tier and has no upper limit.`);
+                }
+            } else if (!Number.isInteger(t.max) || t.max < t.min) {
+                problems.push(`${label} must end at or after ${t.min} points.`);
+            }
+
+            if (tier === 0 && t.min !== 0) {
+                problems.push(`${label} must start at 0 points.`);
+            } else if (tier > 0 && t.min !== titles[tier - 1].max + 1) {
+                problems.push(`${label} must start at ${titles[tier - 1].max + 1} points, right after tier ${tier - 1} ends.`);
+            }
+        });
+
+        return problems;
+    }
+
     // Get title information for a specific stat and point value
     getTitleInfo(statName, points) {
-        const stat = this.titleData[statName];
-        if (!stat) {
-            return {
-                title: 'Unknown',
-                tier: 0,
-                color: this.tierColors[0],
-                statName: statName,
-                points: points
-            };
-        }
+        const titles = this.getTitles(statName);
+        const name = window.statRegistry.getName(statName);
 
-        const titleInfo = stat.titles.find(t => points >= t.min && points <= t.max);
+        const titleInfo = titles.find(t => points >= t.min && points <= t.max);
         if (!titleInfo) {
             // Fallback to highest tier if points exceed max
-            const highestTier = stat.titles[stat.titles.length - 1];
+            const highestTier = titles[titles.length - 1];
             return {
                 title: highestTier.title,
                 tier: highestTier.tier,
                 color: this.tierColors[highestTier.tier],
-                statName: stat.name,
+                statName: name,
                 points: points
             };
         }
@@ -99,7 +181,7 @@ class TitleSystem {
             title: titleInfo.title,
             tier: titleInfo.tier,
             color: this.tierColors[titleInfo.tier],
-            statName: stat.name,
+            statName: name,
             points: points
         };
     }
@@ -107,7 +189,7 @@ class TitleSystem {
     // Get all title information for current stats
     getAllTitles(stats) {
         const titles = {};
-        Object.keys(this.titleData).forEach(statName => {
+        window.statRegistry.getKeys().forEach(statName => {
             const points = stats[statName] || 0;
             titles[statName] = this.getTitleInfo(statName, points);
         });
@@ -116,10 +198,9 @@ class TitleSystem {
 
     // Get progress to next tier
     getProgressToNextTier(statName, points) {
-        const stat = this.titleData[statName];
-        if (!stat) return null;
+        const titles = this.getTitles(statName);
 
-        const currentTitleInfo = stat.titles.find(t => points >= t.min && points <= t.max);
+        const currentTitleInfo = titles.find(t => points >= t.min && points <= t.max);
         if (!currentTitleInfo) return null;
 
         // If at max tier, return completion info
@@ -133,7 +214,7 @@ class TitleSystem {
         }
 
         // Find next tier
-        const nextTierInfo = stat.titles.find(t => t.tier === currentTitleInfo.tier + 1);
+        const nextTierInfo = titles.find(t => t.tier === currentTitleInfo.tier + 1);
         if (!nextTierInfo) return null;
 
         const pointsInCurrentTier = points - currentTitleInfo.min;
@@ -154,6 +235,13 @@ class TitleSystem {
         };
     }
 
+    // Short description of a getProgressToNextTier() result, for tooltips
+    describeProgress(progress) {
+        return progress.isMaxTier
+            ? `${progress.currentTitle} (max rank)`
+            : `${progress.pointsToNext} point${progress.pointsToNext === 1 ? '' : 's'} to ${progress.nextTitle}`;
+    }
+
     // Get tier color
     getTierColor(tier) {
         return this.tierColors[tier] || this.tierColors[0];
@@ -161,7 +249,7 @@ class TitleSystem {
 
     // Get all available tiers for a stat (for debugging/display)
     getStatTiers(statName) {
-        return this.titleData[statName]?.titles || [];
+        return this.getTitles(statName);
     }
 
     // Check if a title was just unlocked (useful for notifications)
@@ -174,6 +262,7 @@ class TitleSystem {
                 unlocked: true,
                 oldTitle: oldTitle.title,
                 newTitle: newTitle.title,
+                oldTier: oldTitle.tier,
                 tier: newTitle.tier,
                 statName: statName
             };
@@ -182,12 +271,31 @@ class TitleSystem {
         return { unlocked: false };
     }
 
+    // Check if a title was lost (e.g. to decline)
+    checkTitleLoss(statName, oldPoints, newPoints) {
+        const oldTitle = this.getTitleInfo(statName, oldPoints);
+        const newTitle = this.getTitleInfo(statName, newPoints);
+
+        if (oldTitle.tier > newTitle.tier) {
+            return {
+                lost: true,
+                oldTitle: oldTitle.title,
+                newTitle: newTitle.title,
+                oldTier: oldTitle.tier,
+                tier: newTitle.tier,
+                statName: statName
+            };
+        }
+
+        return { lost: false };
+    }
+
     // Get a summary of all current titles
     getTitlesSummary(stats) {
         const summary = {
             titles: this.getAllTitles(stats),
             totalTiers: 0,
-            maxPossibleTiers: Object.keys(this.titleData).length * 5, // 5 stats × 5 max tier
+            maxPossibleTiers: window.statRegistry.getKeys().length * 5, // Each stat tops out at tier 5
             averageTier: 0
         };
 